@@ -1,108 +1,233 @@
 // account.js - Account related actions
-const { apiRequest, formatNumber, displayTable } = require('./utils');
+const { apiRequest, formatNumber, displayTable, parseTimeRange, compareEventIds, fetchAllEvents } = require('./utils');
 
-// 8. Accessing Account Details Information
-async function getAccountInformation() {
+// Display a list of positions as a table
+function displayPositions(positions) {
+  const positionsData = positions.map(pos => [
+    pos.contract,
+    formatNumber(pos.size_contracts),
+    formatNumber(pos.size_assets),
+    formatNumber(pos.average_entry_price),
+    formatNumber(pos.unrealized_profit),
+    formatNumber(pos.liquidation_price),
+    formatNumber(pos.leverage)
+  ]);
+  
+  displayTable(
+    ['Contract', 'Size (Contracts)', 'Size (Assets)', 'Entry Price', 'Unrealized P/L', 'Liquidation Price', 'Leverage'],
+    positionsData
+  );
+}
+
+// Display a list of orders as a table
+function displayOrders(orders) {
+  const ordersData = orders.map(order => [
+    order.order_id,
+    order.customer_order_id,
+    order.contract_info.symbol,
+    order.order_type,
+    formatNumber(order.limit_price),
+    order.side,
+    formatNumber(order.opened_quantity_contracts),
+    order.time_in_force,
+    new Date(order.created_at).toLocaleString()
+  ]);
+  
+  displayTable(
+    ['ID', 'Customer ID', 'Contract', 'Type', 'Price', 'Side', 'Quantity', 'TIF', 'Created At'],
+    ordersData
+  );
+}
+
+// Fetch open positions, optionally filtered by contract ID or symbol
+async function fetchOpenPositions(contract) {
+  const result = await apiRequest('GET', '/v1/portfolio/positions');
+  const positions = ((result && result.positions) || []).filter(pos => parseFloat(pos.size_contracts) !== 0);
+  if (!contract) return positions;
+  
+  const key = String(contract).toLowerCase();
+  return positions.filter(pos =>
+    String(pos.contract_id) === key || String(pos.contract).toLowerCase() === key
+  );
+}
+
+// Fetch open orders, optionally filtered by contract
+async function fetchOpenOrders(contract) {
+  const query = contract ? `?contract=${encodeURIComponent(contract)}` : '';
+  const result = await apiRequest('GET', `/v1/portfolio/orders${query}`);
+  return (result && result.orders) || [];
+}
+
+// Show the portfolio overview (balance, equity, margin). Returns the portfolio or null.
+async function showBalance() {
   try {
-    console.log('\nFetching account information...');
-    
-    // Get portfolio overview
     console.log('Getting portfolio overview...');
     const portfolio = await apiRequest('GET', '/v1/portfolio/overview');
     
-    if (portfolio && portfolio.portfolio) {
-      const p = portfolio.portfolio;
-      console.log('\nPortfolio Overview:');
-      console.log('-'.repeat(50));
-      console.log(`Portfolio ID:              ${p.portfolio_id}`);
-      console.log(`Collateral Balance:        ${formatNumber(p.collateral_balance)}`);
-      console.log(`Unrealized Profit:         ${formatNumber(p.unrealized_profit)}`);
-      console.log(`Equity:                    ${formatNumber(p.equity)}`);
-      console.log(`Available to Withdraw:     ${formatNumber(p.available_to_withdraw)}`);
-      console.log(`Margin Utilization:        ${formatNumber(p.margin_utilization * 100)}%`);
-      console.log(`Leverage:                  ${formatNumber(p.leverage)}x`);
-      console.log(`Liquidation Risk (1d):     ${formatNumber(p.liquidation_risk_1d * 100)}%`);
-      if (p.warning) console.log(`Warning: ${p.warning}`);
-      console.log('-'.repeat(50));
+    if (!portfolio || !portfolio.portfolio) {
+      console.log('Portfolio overview not available.');
+      return null;
     }
     
-    // Get positions
-    console.log('\nFetching positions...');
-    const positions = await apiRequest('GET', '/v1/portfolio/positions');
+    const p = portfolio.portfolio;
+    console.log('\nPortfolio Overview:');
+    console.log('-'.repeat(50));
+    console.log(`Portfolio ID:              ${p.portfolio_id}`);
+    console.log(`Collateral Balance:        ${formatNumber(p.collateral_balance)}`);
+    console.log(`Unrealized Profit:         ${formatNumber(p.unrealized_profit)}`);
+    console.log(`Equity:                    ${formatNumber(p.equity)}`);
+    console.log(`Available to Withdraw:     ${formatNumber(p.available_to_withdraw)}`);
+    console.log(`Margin Utilization:        ${formatNumber(p.margin_utilization * 100)}%`);
+    console.log(`Leverage:                  ${formatNumber(p.leverage)}x`);
+    console.log(`Liquidation Risk (1d):     ${formatNumber(p.liquidation_risk_1d * 100)}%`);
+    if (p.warning) console.log(`Warning: ${p.warning}`);
+    console.log('-'.repeat(50));
     
-    if (positions && positions.positions && positions.positions.length > 0) {
+    return p;
+  } catch (error) {
+    console.error('Error fetching portfolio overview:', error.message);
+    return null;
+  }
+}
+
+// Show open positions, optionally for one contract. Returns the positions, or null on error.
+async function showPositions(options = {}) {
+  try {
+    console.log(options.contract ? `\nFetching positions for ${options.contract}...` : '\nFetching positions...');
+    const positions = await fetchOpenPositions(options.contract);
+    
+    if (positions.length > 0) {
       console.log('\nOpen Positions:');
-      
-      const positionsData = positions.positions.map(pos => [
-        pos.contract,
-        formatNumber(pos.size_contracts),
-        formatNumber(pos.size_assets),
-        formatNumber(pos.average_entry_price),
-        formatNumber(pos.unrealized_profit),
-        formatNumber(pos.liquidation_price),
-        formatNumber(pos.leverage)
-      ]);
-      
-      displayTable(
-        ['Contract', 'Size (Contracts)', 'Size (Assets)', 'Entry Price', 'Unrealized P/L', 'Liquidation Price', 'Leverage'],
-        positionsData
-      );
+      displayPositions(positions);
     } else {
-      console.log('No open positions.');
+      console.log(options.contract ? `No open positions on ${options.contract}.` : 'No open positions.');
     }
     
-    // Get open orders
-    console.log('\nFetching open orders...');
-    const orders = await apiRequest('GET', '/v1/portfolio/orders');
+    return positions;
+  } catch (error) {
+    console.error('Error fetching positions:', error.message);
+    return null;
+  }
+}
+
+// Show open orders, optionally for one contract. Returns the orders, or null on error.
+async function showOrders(options = {}) {
+  try {
+    console.log(options.contract ? `\nFetching open orders for ${options.contract}...` : '\nFetching open orders...');
+    const orders = await fetchOpenOrders(options.contract);
     
-    if (orders && orders.orders && orders.orders.length > 0) {
+    if (orders.length > 0) {
       console.log('\nOpen Orders:');
-      
-      const ordersData = orders.orders.map(order => [
-        order.order_id,
-        order.contract_info.symbol,
-        order.order_type,
-        formatNumber(order.limit_price),
-        order.side,
-        formatNumber(order.opened_quantity_contracts),
-        order.time_in_force,
-        new Date(order.created_at).toLocaleString()
-      ]);
-      
-      displayTable(
-        ['ID', 'Contract', 'Type', 'Price', 'Side', 'Quantity', 'TIF', 'Created At'],
-        ordersData
-      );
+      displayOrders(orders);
     } else {
-      console.log('No open orders.');
+      console.log(options.contract ? `No open orders on ${options.contract}.` : 'No open orders.');
     }
     
-    // Get recent transactions
-    console.log('\nFetching recent transactions...');
-    const transactions = await apiRequest('GET', '/v1/portfolio/history/transactions?count=5');
+    return orders;
+  } catch (error) {
+    console.error('Error fetching open orders:', error.message);
+    return null;
+  }
+}
+
+// Fetch transaction history events.
+// options: count, from, to (Dates), fromEventId, toEventId ("block-log")
+async function fetchTransactions(options = {}) {
+  const params = [`count=${options.count || 100}`];
+  if (options.from) params.push(`from=${options.from.toISOString()}`);
+  if (options.to) params.push(`to=${options.to.toISOString()}`);
+  if (options.fromEventId) params.push(`from_event_id=${encodeURIComponent(options.fromEventId)}`);
+  if (options.toEventId) params.push(`to_event_id=${encodeURIComponent(options.toEventId)}`);
+  
+  const result = await apiRequest('GET', `/v1/portfolio/history/transactions?${params.join('&')}`);
+  return (result && result.events) || [];
+}
+
+// Fetch every transaction between from and to (Dates). Returns the events sorted oldest first.
+async function fetchAllTransactions({ from, to }) {
+  return fetchAllEvents('/v1/portfolio/history/transactions', [`from=${from.toISOString()}`, `to=${to.toISOString()}`]);
+}
+
+// Show transaction history with paging and contract/type filters.
+// options: count, from, to (time inputs), fromEventId, toEventId, contract, type (comma-separated),
+// title, paging (false hides the next-page hint).
+// Returns the events shown, or null on error.
+async function showTransactions(options = {}) {
+  try {
+    const count = parseInt(options.count) || 100;
+    const range = parseTimeRange(options);
+    if (!range) return null;
+    const { from, to } = range;
+    
+    console.log('\nFetching transactions...');
+    const page = await fetchTransactions({ count, from, to, fromEventId: options.fromEventId, toEventId: options.toEventId });
+    const fetched = page.length;
+    let events = page;
+    
+    // The API cannot filter by contract or type, so those filters apply to the fetched page
+    if (options.contract) {
+      const key = String(options.contract).toLowerCase();
+      events = events.filter(tx => tx.contract_info &&
+        (String(tx.contract_info.contract_id) === key || String(tx.contract_info.symbol).toLowerCase() === key));
+    }
+    if (options.type) {
+      const types = options.type.split(',').map(t => t.trim().toLowerCase());
+      events = events.filter(tx => types.includes(tx.type));
+    }
+    
+    if (events.length === 0) {
+      console.log(fetched > 0 ? 'No transactions match the given filters.' : 'No transactions found.');
+      return events;
+    }
     
-    if (transactions && transactions.events && transactions.events.length > 0) {
-      console.log('\nRecent Transactions:');
-      
-      const txData = transactions.events.map(tx => [
+    console.log(`\n${options.title || 'Transactions'}:`);
+    displayTable(
+      ['Type', 'Contract', 'Amount', 'Time', 'Event ID', 'Tx Hash'],
+      events.map(tx => [
         tx.type,
+        tx.contract_info ? tx.contract_info.symbol : '-',
         formatNumber(tx.amount),
         new Date(tx.created_at).toLocaleString(),
+        tx.tx_info ? tx.tx_info.event_id : 'N/A',
         tx.tx_info ? tx.tx_info.transaction_hash.substring(0, 10) + '...' : 'N/A'
-      ]);
-      
-      displayTable(
-        ['Type', 'Amount', 'Time', 'Tx Hash'],
-        txData
-      );
-    } else {
-      console.log('No recent transactions.');
+      ])
+    );
+    
+    // A full page may have older events behind it; the boundary comes from the unfiltered page,
+    // so the next request neither skips nor repeats events hidden by --contract/--type
+    if (options.paging !== false && fetched >= count) {
+      const ids = page.map(tx => tx.tx_info && tx.tx_info.event_id).filter(Boolean).sort(compareEventIds);
+      console.log(`\nShowing ${events.length} of a full page of ${count} (event IDs ${ids[0]} to ${ids[ids.length - 1]}).`);
+      console.log(`For older events, run again with --to-event-id ${ids[0]}.`);
     }
+    
+    return events;
   } catch (error) {
-    console.error('Error fetching account information:', error.message);
+    console.error('Error fetching transactions:', error.message);
+    return null;
   }
 }
 
+// 8. Accessing Account Details Information
+async function getAccountInformation() {
+  console.log('\nFetching account information...');
+  
+  await showBalance();
+  await showPositions();
+  await showOrders();
+  await showTransactions({ count: 5, title: 'Recent Transactions', paging: false });
+}
+
 module.exports = {
-  getAccountInformation
-};
\ No newline at end of file
+  getAccountInformation,
+  fetchOpenPositions,
+  fetchOpenOrders,
+  fetchTransactions,
+  fetchAllTransactions,
+  showBalance,
+  showPositions,
+  showOrders,
+  showTransactions,
+  displayPositions,
+  displayOrders
+};
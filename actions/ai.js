@@ -1,10 +1,15 @@
 // ai.js - AI-assisted order creation actions
 const { OpenAI } = require('openai');
 const { apiRequest, formatNumber, displayTable } = require('./utils');
-const { listContracts, getContractDetails, getMarketData } = require('./markets');
-const { estimateOrder, placeOrder } = require('./trading');
+const { listContracts, getContractDetails, getMarketData, getDefaultOrderBookStep } = require('./markets');
+const { estimateOrder, placeOrder, isTransactionSuccessful, getOrderSide, isValidLimitPrice } = require('./trading');
 const { getConfig } = require('./config');
 const { getAccountInformation } = require('./account');
+const { validateBracketLevels, createBracket } = require('./brackets');
+const { resolveQuantity, displayResolvedQuantity } = require('./sizing');
+const { validateOrder, checkLimitPrice, reportValidation } = require('./validation');
+const { PERIOD_MS, fetchCandles } = require('./candles');
+const { readCachedTrades, readCachedOrderBook } = require('./store');
 
 // Initialize OpenAI client when needed
 function getOpenAIClient() {
@@ -36,7 +41,7 @@ async function parseNaturalLanguageOrder(input, contracts) {
         1. contract: Symbol or ID of the contract to trade
         2. orderSide: "buy" or "sell"
         3. orderType: "market" or "limit"
-        4. quantity: The amount to trade in contracts (decimal)
+        4. quantity: The amount to trade as a string, keeping any unit the user gave: "0.5 contracts", "0.01 assets", "10 steps" or "$500" (a bare number means contracts)
         5. limitPrice: If orderType is "limit", the limit price (omit for market orders)
         6. timeInForce: "GTC" (Good Till Cancel), "IOC" (Immediate or Cancel), "FOK" (Fill or Kill), or "PO" (Post Only)
         7. reduceOnly: true or false
@@ -134,7 +139,7 @@ async function processNaturalLanguageOrder(input, question) {
     }
     
     if (!parsedOrder.quantity) {
-      const quantity = await question('Please specify the quantity (in contracts): ');
+      const quantity = await question('Please specify the quantity (e.g. 0.5 contracts, 0.01 assets, $500) [contracts]: ');
       parsedOrder.quantity = quantity.trim();
     }
     
@@ -156,16 +161,29 @@ async function processNaturalLanguageOrder(input, question) {
       return;
     }
     
-    // Get min order size from contract details
-    const minOrderSize = parseFloat(contract.min_order_size_contracts || "0.001");
+    if (parsedOrder.orderType === 'limit' && !isValidLimitPrice(parsedOrder.limitPrice)) {
+      console.log(`Invalid limit price "${parsedOrder.limitPrice}". Please enter a positive number.`);
+      return;
+    }
     
-    // Ensure quantity is at least minimum order size
-    const quantityNum = parseFloat(parsedOrder.quantity);
-    if (isNaN(quantityNum) || quantityNum < minOrderSize) {
-      console.log(`Note: Minimum order size for ${contract.symbol} is ${minOrderSize} contracts.`);
-      parsedOrder.quantity = minOrderSize.toString();
+    // Resolve the quantity (a bare number means contracts)
+    const resolved = resolveQuantity(parsedOrder.quantity, contract, 'contracts');
+    if (resolved.error) {
+      console.log(resolved.error);
+      return;
     }
     
+    // Snap price and size to the contract's increments; reject orders below the minimum size
+    const validation = validateOrder(contract, {
+      orderSide: parsedOrder.orderSide,
+      orderType: parsedOrder.orderType,
+      limitPrice: parsedOrder.limitPrice,
+      quantity: resolved
+    });
+    if (!reportValidation(validation)) return;
+    parsedOrder.limitPrice = validation.limitPrice;
+    const { quantity } = validation;
+    
     // Create order parameters for estimation
     const orderParams = {
       contract: parsedOrder.contractId.toString(),
@@ -175,12 +193,8 @@ async function processNaturalLanguageOrder(input, question) {
       reduce_only: parsedOrder.reduceOnly
     };
     
-    // Add the quantity as contracts (this is what the API expects)
-    if (parsedOrder.orderSide.toLowerCase() === 'buy') {
-      orderParams.quantity_contracts = parsedOrder.quantity.toString();
-    } else {
-      orderParams.quantity_contracts = `-${parsedOrder.quantity}`;
-    }
+    // Send the quantity in the unit it was given (USD notional is sent as assets)
+    orderParams[quantity.field] = parsedOrder.orderSide.toLowerCase() === 'buy' ? quantity.value : `-${quantity.value}`;
     
     // Show the interpreted order and ask for confirmation
     console.log('\nInterpreted Order Parameters:');
@@ -191,10 +205,11 @@ async function processNaturalLanguageOrder(input, question) {
     if (parsedOrder.orderType === 'limit') {
       console.log(`Limit Price: ${parsedOrder.limitPrice}`);
     }
-    console.log(`Quantity:    ${parsedOrder.quantity} contracts`);
+    console.log(`Quantity:    ${quantity.value} ${quantity.unit === 'usd' ? 'assets' : quantity.unit}`);
     console.log(`Time in Force: ${parsedOrder.timeInForce}`);
     console.log(`Reduce Only: ${parsedOrder.reduceOnly}`);
     console.log('-'.repeat(50));
+    displayResolvedQuantity(quantity);
     
     // Ask if the interpretation is correct
     const confirmInterpretation = await question('\nIs this interpretation correct? (yes/no): ');
@@ -240,7 +255,9 @@ async function processNaturalLanguageOrder(input, question) {
             limit_price: orderParams.limit_price,
             time_in_force: orderParams.time_in_force,
             reduce_only: orderParams.reduce_only,
-            quantity_contracts: orderParams.quantity_contracts,
+            quantity_steps: orderParams.quantity_steps || '',
+            quantity_contracts: orderParams.quantity_contracts || '',
+            quantity_assets: orderParams.quantity_assets || '',
             timestamp: Date.now(),
             recv_window: 30000
           }
@@ -313,34 +330,23 @@ async function analyzeMarketOpportunities(question) {
         // Get contract details
         const details = await getContractDetails(contract.contract_id);
         
-        // Get price history
+        // Get price history (candles stored by "cvex record" are reused; only newer ones are downloaded)
         let priceHistory = { data: [] };
         try {
-          priceHistory = await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/price?period=1h&count=24`);
+          const now = new Date();
+          const candles = await fetchCandles(contract.symbol, { period: '1h', from: new Date(now.getTime() - 24 * PERIOD_MS['1h']), to: now, useCache: true });
+          priceHistory = { data: candles };
         } catch (error) {
           console.log(`Warning: Could not fetch price history for ${contract.symbol}: ${error.message}`);
         }
         
-        // Get order book with valid price step based on the contract symbol/type
-        let priceStep;
-        
-        // Determine price step based on the contract symbol
-        if (contract.symbol.includes('BTC')) {
-          priceStep = '5'; // BTC valid steps: 5, 50, 500, 2500, 5000
-        } else if (contract.symbol.includes('ETH')) {
-          priceStep = '1'; // ETH valid steps: 1, 10, 100, 500, 1000 
-        } else if (contract.symbol.includes('SOL')) {
-          priceStep = '0.1'; // SOL valid steps: 0.1, 1, 10, 50, 100
-        } else if (contract.symbol.includes('XRP')) {
-          priceStep = '0.001'; // Assumption for XRP
-        } else {
-          // Default for other assets
-          priceStep = '0.1';
-        }
+        // Get order book with a valid price step derived from the contract's price tick
+        const priceStep = getDefaultOrderBookStep(details || contract);
         
         let orderBook = { bids: [], asks: [] };
         try {
-          orderBook = await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/order-book?price_step=${priceStep}`);
+          orderBook = readCachedOrderBook(contract.symbol)
+            || await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/order-book?price_step=${priceStep}`);
         } catch (error) {
           console.log(`Warning: Could not fetch order book for ${contract.symbol}: ${error.message}`);
         }
@@ -348,7 +354,11 @@ async function analyzeMarketOpportunities(question) {
         // Get recent trades
         let recentTrades = { trades: [] };
         try {
-          recentTrades = await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/latest-trades?count=20`);
+          // Recorded trades are stored oldest first; the API returns the newest first
+          const cachedTrades = readCachedTrades(contract.symbol, 20);
+          recentTrades = cachedTrades
+            ? { trades: cachedTrades.reverse() }
+            : await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/latest-trades?count=20`);
         } catch (error) {
           console.log(`Warning: Could not fetch recent trades for ${contract.symbol}: ${error.message}`);
         }
@@ -556,6 +566,7 @@ Be specific, practical and concise. Focus on actionable trades.`
     let orderParams = null;
     let orderSide = null;
     let isMarket = true;
+    let bracketLevels = null;
     
     try {
       // Extract the opportunity details from the AI response
@@ -659,9 +670,21 @@ Be specific, practical and concise. Focus on actionable trades.`
       if (entryPrice > 0) {
         // Calculate based on contractDetails.contract_size and min_order_size_contracts
         const minOrderSize = parseFloat(contractDetails.min_order_size_contracts || "0.001");
-        quantity = Math.max(minOrderSize, (positionSizeUSD / entryPrice).toFixed(3));
+        quantity = parseFloat((positionSizeUSD / entryPrice).toFixed(3));
+        
+        // Never trade more than suggested without asking: the minimum is only used once confirmed
+        if (quantity < minOrderSize) {
+          console.log(`\nSuggested size ${quantity} contracts (${positionSizeUSD.toFixed(2)} USD) is below the minimum order size of ${minOrderSize} contracts on ${selectedContract.symbol}.`);
+          const useMinimum = await question(`Trade the minimum of ${minOrderSize} contracts instead? This is larger than suggested. (yes/no): `);
+          if (useMinimum.toLowerCase() !== 'yes' && useMinimum.toLowerCase() !== 'y') {
+            console.log('Suggestion rejected: the suggested size is below the minimum order size.');
+            return;
+          }
+          quantity = minOrderSize;
+        }
       } else {
-        quantity = contractDetails.min_order_size_contracts || "0.001";
+        console.log('Suggestion rejected: no entry or market price to size the position from.');
+        return;
       }
       
       // Show suggested order and ask for confirmation/modification
@@ -696,13 +719,31 @@ Be specific, practical and concise. Focus on actionable trades.`
           }
         }
         
-        // Allow modification of quantity
-        const newQuantity = await question(`Quantity in contracts [${quantity}]: `);
+        // Allow modification of quantity (steps, contracts, assets or USD notional)
+        const newQuantity = await question(`Quantity (e.g. 0.5 contracts, 0.01 assets, $500) [${quantity} contracts]: `);
         if (newQuantity.trim()) {
           quantity = newQuantity;
         }
       }
       
+      const resolved = resolveQuantity(quantity, contractDetails, 'contracts');
+      if (resolved.error) {
+        console.log(resolved.error);
+        return;
+      }
+      
+      // Snap price and size to the contract's increments before estimating
+      const validation = validateOrder(contractDetails, {
+        orderSide,
+        orderType: isMarket ? 'market' : 'limit',
+        limitPrice,
+        quantity: resolved
+      });
+      if (!reportValidation(validation)) return;
+      if (!isMarket) limitPrice = validation.limitPrice;
+      const resolvedQuantity = validation.quantity;
+      displayResolvedQuantity(resolvedQuantity);
+      
       // Set up order parameters
       orderParams = {
         contract: contractDetails.contract_id.toString(),
@@ -713,8 +754,15 @@ Be specific, practical and concise. Focus on actionable trades.`
       };
       
       // Add quantity with direction
-      const formattedQuantity = orderSide.toLowerCase() === 'buy' ? quantity.toString() : `-${quantity}`;
-      orderParams.quantity_contracts = formattedQuantity;
+      const formattedQuantity = orderSide.toLowerCase() === 'buy' ? resolvedQuantity.value : `-${resolvedQuantity.value}`;
+      orderParams[resolvedQuantity.field] = formattedQuantity;
+      
+      // Keep the suggested stop loss / take profit so they can be attached as a bracket
+      const stopLoss = parseFloat(String(selectedOpp.stopLoss).replace(/[^\d.-]/g, '')) || null;
+      const takeProfit = parseFloat(String(selectedOpp.takeProfit).replace(/[^\d.-]/g, '')) || null;
+      if (stopLoss || takeProfit) {
+        bracketLevels = { stopLoss, takeProfit, referencePrice: isMarket ? currentPrice : limitPrice };
+      }
     } catch (error) {
       console.log('\nCould not automatically parse AI recommendation. Falling back to manual entry...');
       console.log(`Error: ${error.message}`);
@@ -755,20 +803,36 @@ Be specific, practical and concise. Focus on actionable trades.`
       }
       
       // Get quantity
-      const manualQuantity = await question('Quantity (in contracts): ');
+      let manualQuantity;
+      while (true) {
+        const input = await question('Quantity (e.g. 0.5 contracts, 0.01 assets, $500) [contracts]: ');
+        manualQuantity = resolveQuantity(input, manualContractDetails, 'contracts');
+        if (!manualQuantity.error) break;
+        console.log(manualQuantity.error);
+      }
+      
+      const manualValidation = validateOrder(manualContractDetails, {
+        orderSide,
+        orderType: isMarket ? 'market' : 'limit',
+        limitPrice: manualLimitPrice,
+        quantity: manualQuantity
+      });
+      if (!reportValidation(manualValidation)) return;
+      manualQuantity = manualValidation.quantity;
+      displayResolvedQuantity(manualQuantity);
       
       // Set up order parameters
       orderParams = {
         contract: manualContractDetails.contract_id.toString(),
         type: isMarket ? 'market' : 'limit',
-        limit_price: isMarket ? '0' : manualLimitPrice,
+        limit_price: isMarket ? '0' : manualValidation.limitPrice,
         time_in_force: 'GTC',
         reduce_only: false
       };
       
       // Add quantity with direction
-      const formattedQuantity = orderSide.toLowerCase() === 'buy' ? manualQuantity : `-${manualQuantity}`;
-      orderParams.quantity_contracts = formattedQuantity;
+      const formattedQuantity = orderSide.toLowerCase() === 'buy' ? manualQuantity.value : `-${manualQuantity.value}`;
+      orderParams[manualQuantity.field] = formattedQuantity;
     }
     
     // Step 8: Estimate the order
@@ -791,8 +855,8 @@ Be specific, practical and concise. Focus on actionable trades.`
           return;
         }
         
-        // Determine order side based on quantity_contracts (safer than using orderSide variable)
-        const effectiveOrderSide = orderParams.quantity_contracts.startsWith('-') ? 'SELL' : 'BUY';
+        // Determine order side based on the signed quantity (safer than using orderSide variable)
+        const effectiveOrderSide = getOrderSide(orderParams);
         const effectiveOrderType = orderParams.type ? orderParams.type.toUpperCase() : 'MARKET';
         
         console.log(`Order Type:                 ${effectiveOrderSide} ${effectiveOrderType}`);
@@ -818,14 +882,44 @@ Be specific, practical and concise. Focus on actionable trades.`
             limit_price: orderParams.limit_price || '0',
             time_in_force: orderParams.time_in_force || 'GTC',
             reduce_only: typeof orderParams.reduce_only === 'boolean' ? orderParams.reduce_only : false,
-            quantity_contracts: orderParams.quantity_contracts,
+            quantity_steps: orderParams.quantity_steps || '',
+            quantity_contracts: orderParams.quantity_contracts || '',
+            quantity_assets: orderParams.quantity_assets || '',
             timestamp: Date.now(),
             recv_window: 30000
           }
         };
         
         // Place the order
-        await placeOrder(orderData, question);
+        const result = await placeOrder(orderData, question);
+        
+        // Offer to protect the entry with the AI's stop loss / take profit
+        if (bracketLevels && isTransactionSuccessful(result)) {
+          const side = effectiveOrderSide.toLowerCase();
+          let levelsError = validateBracketLevels(side, bracketLevels.stopLoss, bracketLevels.takeProfit, bracketLevels.referencePrice);
+          
+          // The take-profit rests as a limit order on the opposite side, so snap it to the tick like "cvex order" does
+          if (!levelsError && bracketLevels.takeProfit) {
+            const bracketContract = await getContractDetails(orderData.orderParams.contract, true);
+            if (bracketContract) {
+              const priceCheck = checkLimitPrice(bracketContract, side === 'buy' ? 'sell' : 'buy', bracketLevels.takeProfit);
+              if (reportValidation(priceCheck)) {
+                bracketLevels.takeProfit = priceCheck.price;
+              } else {
+                levelsError = 'the take-profit price is not valid for this contract.';
+              }
+            }
+          }
+          
+          if (levelsError) {
+            console.log(`Suggested bracket not attached: ${levelsError}`);
+          } else {
+            const attach = await question(`\nAttach bracket (Stop Loss: ${bracketLevels.stopLoss || 'none'}, Take Profit: ${bracketLevels.takeProfit || 'none'})? (yes/no): `);
+            if (attach.toLowerCase() === 'yes' || attach.toLowerCase() === 'y') {
+              createBracket(orderData.orderParams, bracketLevels.stopLoss, bracketLevels.takeProfit);
+            }
+          }
+        }
       }
     } catch (error) {
       console.error('Error estimating order:', error.message);
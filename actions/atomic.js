@@ -0,0 +1,274 @@
+// atomic.js - Multi-leg atomic orders and calendar spreads
+const { apiRequest, formatNumber, displayTable } = require('./utils');
+const {
+  TIME_IN_FORCE_OPTIONS,
+  isValidOrderSide,
+  isValidLimitPrice,
+  isValidTimeInForce,
+  isValidQuantitySteps,
+  buildEstimatePayload,
+  displayTransactionResult,
+  isTransactionSuccessful
+} = require('./trading');
+const { getContractDetails } = require('./markets');
+const { resolveQuantity } = require('./sizing');
+const { validateOrder, checkQuantity, reportValidation } = require('./validation');
+
+// Parse a leg given as "<contract>:<side>:<qty>[:<limit price>]"
+function parseLegSpec(spec) {
+  const [contract, side, qty, price] = spec.split(':');
+  return { contract, side, qty, price };
+}
+
+// Validate legs the same way single orders are validated.
+// Returns a list of error messages (empty if the legs are valid).
+function validateLegs(legs, timeInForce) {
+  const errors = [];
+
+  if (legs.length < 2) errors.push('An atomic order needs at least two legs.');
+  if (!isValidTimeInForce(timeInForce)) errors.push(`Invalid time in force. Please use one of: ${TIME_IN_FORCE_OPTIONS.join(', ')}.`);
+
+  legs.forEach((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    if (!leg.contract) errors.push(`${label}: missing contract.`);
+    if (!isValidOrderSide(leg.side)) errors.push(`${label}: invalid order side. Please use "buy" or "sell".`);
+    if (!isValidQuantitySteps(leg.qty)) errors.push(`${label}: invalid quantity. Please enter a positive integer (in steps).`);
+    if (leg.price !== undefined && leg.price !== '' && !isValidLimitPrice(leg.price)) errors.push(`${label}: invalid price. Please enter a positive number.`);
+  });
+
+  // The API only allows one order per contract in an atomic batch
+  const contracts = legs.map(leg => String(leg.contract).toLowerCase());
+  if (new Set(contracts).size !== contracts.length) {
+    errors.push('Only one leg per contract is allowed in an atomic order.');
+  }
+
+  return errors;
+}
+
+// Check every leg against its contract's tick and minimum size, snapping limit prices in place.
+// Returns true if all legs may proceed.
+async function checkLegsAgainstContracts(legs) {
+  let valid = true;
+
+  for (const [index, leg] of legs.entries()) {
+    const contract = await getContractDetails(leg.contract, true);
+    if (!contract) {
+      console.log(`Leg ${index + 1}: contract ${leg.contract} not found.`);
+      valid = false;
+      continue;
+    }
+
+    const isLimit = leg.price !== undefined && leg.price !== '';
+    const validation = validateOrder(contract, {
+      orderSide: leg.side,
+      orderType: isLimit ? 'limit' : 'market',
+      limitPrice: leg.price,
+      quantity: resolveQuantity(`${leg.qty} steps`, contract)
+    });
+
+    validation.warnings = validation.warnings.map(warning => `Leg ${index + 1}: ${warning}`);
+    validation.errors = validation.errors.map(error => `Leg ${index + 1}: ${error}`);
+    if (!reportValidation(validation)) valid = false;
+    if (isLimit) leg.price = validation.limitPrice;
+  }
+
+  return valid;
+}
+
+// Build the order requests for every leg
+function buildLegOrders(legs, timeInForce) {
+  const now = Date.now();
+  return legs.map((leg, index) => {
+    const isLimit = leg.price !== undefined && leg.price !== '';
+    return {
+      customer_order_id: `cli-${now}-${index + 1}`,
+      ...buildEstimatePayload(leg.contract, {
+        orderSide: leg.side,
+        orderType: isLimit ? 'limit' : 'market',
+        limitPrice: isLimit ? String(leg.price) : '0',
+        timeInForce,
+        reduceOnly: false,
+        quantitySteps: String(leg.qty)
+      })
+    };
+  });
+}
+
+// Estimate all legs together and display per-leg and combined results
+async function estimateAtomicOrders(orders) {
+  console.log('\nEstimating atomic orders with parameters:');
+  console.log(JSON.stringify(orders, null, 2));
+
+  const result = await apiRequest('POST', '/v1/trading/estimate-atomic-orders', { orders });
+  const estimations = (result && result.estimations) || [];
+
+  if (estimations.length === 0) {
+    console.log('No estimation returned.');
+    return null;
+  }
+
+  const failed = estimations.find(e => e.error);
+  if (failed) {
+    console.log(`Error: ${failed.error}`);
+    return null;
+  }
+
+  console.log('\nAtomic Order Estimation:');
+  const tableData = orders.map((order, index) => {
+    const estimation = estimations[index] || {};
+    return [
+      index + 1,
+      order.contract,
+      order.quantity_steps.startsWith('-') ? 'SELL' : 'BUY',
+      order.type,
+      order.type === 'limit' ? formatNumber(order.limit_price) : 'market',
+      order.quantity_steps.replace('-', ''),
+      formatNumber(estimation.trading_fee || 0),
+      formatNumber(estimation.operational_fee || 0),
+      formatNumber(estimation.estimated_liquidation_price || 0)
+    ];
+  });
+
+  displayTable(
+    ['Leg', 'Contract', 'Side', 'Type', 'Price', 'Qty (Steps)', 'Trading Fee', 'Operational Fee', 'Est. Liq. Price'],
+    tableData
+  );
+
+  // Each leg is estimated on top of the previous ones, so the last estimation carries the combined effect
+  const totalTradingFee = estimations.reduce((sum, e) => sum + (parseFloat(e.trading_fee) || 0), 0);
+  const totalOperationalFee = estimations.reduce((sum, e) => sum + (parseFloat(e.operational_fee) || 0), 0);
+  const first = estimations[0];
+  const last = estimations[estimations.length - 1];
+
+  console.log('\nCombined:');
+  console.log('-'.repeat(50));
+  console.log(`Total Trading Fee:          ${formatNumber(totalTradingFee)}`);
+  console.log(`Total Operational Fee:      ${formatNumber(totalOperationalFee)}`);
+  console.log(`Current Equity:             ${formatNumber(first.current_equity)}`);
+  console.log(`New Equity:                 ${formatNumber(last.new_equity)}`);
+  console.log(`Current Leverage:           ${formatNumber(first.current_leverage)}`);
+  console.log(`New Leverage:               ${formatNumber(last.new_leverage)}`);
+  console.log('-'.repeat(50));
+
+  return estimations;
+}
+
+// Sign and submit all legs in one atomic request
+async function submitAtomicOrders(orders) {
+  // Only include the quantity field that has a value, as for single orders
+  const signedOrders = orders.map(order => {
+    const { quantity_steps, quantity_contracts, quantity_assets, ...rest } = order;
+    if (quantity_steps) return { ...rest, quantity_steps };
+    if (quantity_contracts) return { ...rest, quantity_contracts };
+    return { ...rest, quantity_assets };
+  });
+
+  const params = {
+    orders: signedOrders,
+    timestamp: Date.now(),
+    recv_window: 30000
+  };
+
+  console.log(`\nSubmitting ${orders.length} legs atomically...`);
+  const result = await apiRequest('POST', '/v1/trading/atomic-orders', params, true);
+  displayTransactionResult('Atomic Orders Result', result, 'All legs successfully submitted!');
+  return result;
+}
+
+// Estimate and (after confirmation) submit a set of legs atomically.
+// Returns true if the legs were estimated (and submitted, unless estimateOnly) successfully.
+async function placeAtomicOrders(legs, options, question) {
+  try {
+    const timeInForce = options.tif || 'GTC';
+    const errors = validateLegs(legs, timeInForce);
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(error));
+      return false;
+    }
+
+    if (!(await checkLegsAgainstContracts(legs))) return false;
+
+    const orders = buildLegOrders(legs, timeInForce);
+    const estimations = await estimateAtomicOrders(orders);
+    if (!estimations) {
+      console.log('Atomic order estimation failed.');
+      return false;
+    }
+
+    if (options.estimateOnly) return true;
+
+    if (!options.yes) {
+      const confirm = await question('\nDo you want to submit all legs atomically? (yes/no): ');
+      if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+        console.log('Order cancelled by user.');
+        return false;
+      }
+    }
+
+    const result = await submitAtomicOrders(orders);
+    return isTransactionSuccessful(result);
+  } catch (error) {
+    console.error('Error placing atomic orders:', error.message);
+    return false;
+  }
+}
+
+// Calendar spread: buy one expiry and sell another of the same size in one atomic request
+async function placeSpread(buyContract, sellContract, options, question) {
+  try {
+    const [buyLeg, sellLeg] = await Promise.all([
+      getContractDetails(buyContract, true),
+      getContractDetails(sellContract, true)
+    ]);
+
+    if (!buyLeg || !sellLeg) {
+      console.log('Contract details not available for one of the legs.');
+      return false;
+    }
+
+    console.log('\nCalendar Spread:');
+    console.log('-'.repeat(50));
+    console.log(`Buy Leg:                    ${buyLeg.symbol} (settles ${new Date(buyLeg.settlement_time).toLocaleString()})`);
+    console.log(`Sell Leg:                   ${sellLeg.symbol} (settles ${new Date(sellLeg.settlement_time).toLocaleString()})`);
+    console.log(`Spread (Mark):              ${formatNumber(parseFloat(buyLeg.mark_price) - parseFloat(sellLeg.mark_price))}`);
+    console.log('-'.repeat(50));
+
+    if (buyLeg.index_id !== sellLeg.index_id) {
+      console.log(`Warning: legs are on different indices (${buyLeg.index} / ${sellLeg.index}), this is not a calendar spread.`);
+    }
+
+    // --qty takes the same units as "cvex order" (a bare number is steps). Each leg gets its own
+    // steps, since step sizes can differ between expiries.
+    const steps = [];
+    for (const details of [buyLeg, sellLeg]) {
+      const resolved = resolveQuantity(options.qty, details, 'steps');
+      if (resolved.error) {
+        console.log(resolved.error);
+        return false;
+      }
+      const check = checkQuantity(details, resolved);
+      check.warnings = check.warnings.map(warning => `${details.symbol}: ${warning}`);
+      check.errors = check.errors.map(error => `${details.symbol}: ${error}`);
+      if (!reportValidation(check)) return false;
+      steps.push(String(Math.round(check.quantity.steps)));
+    }
+
+    const legs = [
+      { contract: String(buyLeg.contract_id), side: 'buy', qty: steps[0], price: options.buyPrice },
+      { contract: String(sellLeg.contract_id), side: 'sell', qty: steps[1], price: options.sellPrice }
+    ];
+
+    return await placeAtomicOrders(legs, options, question);
+  } catch (error) {
+    console.error('Error placing spread:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  parseLegSpec,
+  estimateAtomicOrders,
+  submitAtomicOrders,
+  placeAtomicOrders,
+  placeSpread
+};
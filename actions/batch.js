@@ -0,0 +1,286 @@
+// batch.js - Batch order actions from a JSON or CSV file
+const fs = require('fs');
+const path = require('path');
+const { apiRequest, formatNumber, displayTable } = require('./utils');
+const { getContractDetails } = require('./markets');
+const {
+  TIME_IN_FORCE_OPTIONS,
+  isValidOrderSide,
+  isValidOrderType,
+  isValidLimitPrice,
+  isValidTimeInForce,
+  isValidQuantitySteps,
+  buildEstimatePayload,
+  displayTransactionResult,
+  isTransactionSuccessful
+} = require('./trading');
+const { fetchOpenOrders } = require('./account');
+const { resolveQuantity } = require('./sizing');
+const { checkLimitPrice, validateOrder } = require('./validation');
+
+const BATCH_ACTIONS = ['place', 'cancel', 'replace'];
+
+// Parse a simple CSV file with a header row (no quoted commas)
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const cells = line.split(',').map(c => c.trim());
+    const row = {};
+    headers.forEach((header, i) => {
+      if (cells[i] !== undefined && cells[i] !== '') row[header] = cells[i];
+    });
+    return row;
+  });
+}
+
+// Read batch actions from a .json or .csv file
+function readBatchFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return parseCsv(text);
+  }
+
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : (data.actions || []);
+}
+
+// Find the open order a cancel/replace action refers to
+function findActionOrder(action, openOrders) {
+  return openOrders.find(o => String(o.order_id) === String(action.id) || o.customer_order_id === action.id);
+}
+
+// Validate one action against open orders and contract details.
+// Prices are snapped to the tick in place (recorded in action.warnings).
+// Returns a list of error messages (empty if valid).
+function validateAction(action, contractDetails, openOrders) {
+  const errors = [];
+  const type = action.action;
+  action.warnings = [];
+
+  if (!BATCH_ACTIONS.includes(type)) {
+    return [`Unknown action "${type}". Use one of: ${BATCH_ACTIONS.join(', ')}.`];
+  }
+
+  if (type === 'cancel' || type === 'replace') {
+    if (!action.id) return ['Missing order id.'];
+    const order = findActionOrder(action, openOrders);
+    if (!order) return [`No open order found with ID "${action.id}".`];
+    action.order = order;
+    if (type === 'cancel') return errors;
+
+    if (action.price === undefined && action.qty === undefined) errors.push('Nothing to replace. Provide price and/or qty.');
+    if (action.price !== undefined && !isValidLimitPrice(action.price)) errors.push('Invalid price.');
+    if (action.qty !== undefined && !isValidQuantitySteps(action.qty)) errors.push('Invalid quantity (in steps).');
+    if (errors.length > 0 || action.price === undefined || !contractDetails) return errors;
+
+    const priceCheck = checkLimitPrice(contractDetails, order.side, action.price);
+    action.price = priceCheck.price;
+    action.warnings.push(...priceCheck.warnings);
+    return priceCheck.errors;
+  }
+
+  // place
+  const orderType = action.type || 'market';
+  const timeInForce = action.tif || 'GTC';
+  if (!action.contract) errors.push('Missing contract.');
+  if (!isValidOrderSide(action.side)) errors.push('Invalid order side.');
+  if (!isValidOrderType(orderType)) errors.push('Invalid order type.');
+  if (orderType === 'limit' && !isValidLimitPrice(action.price)) errors.push('Invalid limit price.');
+  if (!isValidTimeInForce(timeInForce)) errors.push(`Invalid time in force (use ${TIME_IN_FORCE_OPTIONS.join(', ')}).`);
+  if (!isValidQuantitySteps(action.qty)) errors.push('Invalid quantity (in steps).');
+  if (errors.length > 0) return errors;
+
+  if (!contractDetails) return [`Contract ${action.contract} not found.`];
+
+  const validation = validateOrder(contractDetails, {
+    orderSide: action.side,
+    orderType,
+    limitPrice: action.price,
+    quantity: resolveQuantity(`${action.qty} steps`, contractDetails)
+  });
+  if (orderType === 'limit') action.price = validation.limitPrice;
+  action.warnings.push(...validation.warnings);
+
+  return validation.errors;
+}
+
+// Convert a validated action into a batch-actions entry
+function toBatchAction(action, index, now) {
+  if (action.action === 'cancel') {
+    return { action: 'cancel_order', data: { id: String(action.order.order_id) } };
+  }
+
+  if (action.action === 'replace') {
+    // ReplaceOrderRequest takes the size as quantity_*_change; the new signed size is sent in steps, as amend does
+    const order = action.order;
+    const quantity = action.qty !== undefined ? String(action.qty) : order.opened_quantity_steps;
+    return {
+      action: 'replace_order',
+      data: {
+        id: String(order.order_id),
+        customer_order_id: order.customer_order_id,
+        type: 'limit',
+        limit_price: action.price !== undefined ? String(action.price) : order.limit_price,
+        quantity_steps_change: order.side === 'sell' ? `-${quantity}` : quantity
+      }
+    };
+  }
+
+  const { quantity_contracts, quantity_assets, ...order } = action.payload;
+  return {
+    action: 'make_order',
+    data: { customer_order_id: `cli-${now}-${index + 1}`, ...order }
+  };
+}
+
+// Validate, estimate, summarise and submit a batch file.
+// Returns true if the batch was validated (and submitted, unless estimateOnly) successfully.
+async function runBatch(file, options, question) {
+  try {
+    if (!fs.existsSync(file)) {
+      console.log(`File not found: ${file}`);
+      return false;
+    }
+
+    const actions = readBatchFile(file).map(row => ({
+      ...row,
+      action: String(row.action || 'place').toLowerCase(),
+      reduce_only: ['true', 'yes', 'y'].includes(String(row.reduce_only).toLowerCase())
+    }));
+
+    if (actions.length === 0) {
+      console.log('No actions found in the batch file.');
+      return false;
+    }
+
+    console.log(`\nLoaded ${actions.length} action(s) from ${file}.`);
+
+    // Look up each contract once, and the open orders for cancel/replace
+    const contractCache = {};
+    for (const action of actions) {
+      if (action.action === 'place' && action.contract && !(action.contract in contractCache)) {
+        contractCache[action.contract] = await getContractDetails(action.contract, true);
+      }
+    }
+    const needsOrders = actions.some(a => a.action === 'cancel' || a.action === 'replace');
+    const openOrders = needsOrders ? await fetchOpenOrders() : [];
+
+    // Price changes in replacements are checked against the order's contract
+    for (const action of actions) {
+      const order = action.action === 'replace' && action.price !== undefined && findActionOrder(action, openOrders);
+      if (order && !(order.contract_id in contractCache)) {
+        contractCache[order.contract_id] = await getContractDetails(order.contract_id, true);
+      }
+    }
+
+    let hasErrors = false;
+    for (const action of actions) {
+      const order = action.action === 'replace' ? findActionOrder(action, openOrders) : null;
+      const contractDetails = order ? contractCache[order.contract_id] : contractCache[action.contract];
+      action.errors = validateAction(action, contractDetails, openOrders);
+      if (action.errors.length > 0) hasErrors = true;
+    }
+
+    // Estimate the placements
+    if (!hasErrors) {
+      console.log('\nEstimating placements...');
+      for (const action of actions.filter(a => a.action === 'place')) {
+        const orderType = action.type || 'market';
+        action.payload = buildEstimatePayload(contractCache[action.contract].contract_id, {
+          orderSide: action.side,
+          orderType,
+          limitPrice: orderType === 'limit' ? String(action.price) : '0',
+          timeInForce: action.tif || 'GTC',
+          reduceOnly: action.reduce_only,
+          quantitySteps: String(action.qty)
+        });
+
+        try {
+          action.estimation = await apiRequest('POST', '/v1/trading/estimate-order', action.payload);
+          if (action.estimation && action.estimation.error) {
+            action.errors.push(action.estimation.error);
+            hasErrors = true;
+          }
+        } catch (error) {
+          action.errors.push(`Estimation failed: ${error.message}`);
+          hasErrors = true;
+        }
+      }
+    }
+
+    console.log('\nBatch Summary:');
+    const tableData = actions.map((action, index) => {
+      const order = action.order || {};
+      const symbol = action.contract
+        ? (contractCache[action.contract] ? contractCache[action.contract].symbol : action.contract)
+        : (order.contract_info ? order.contract_info.symbol : '');
+      return [
+        index + 1,
+        action.action,
+        action.id || '',
+        symbol,
+        (action.side || order.side || '').toUpperCase(),
+        action.action === 'place' ? (action.type || 'market') : (order.order_type || ''),
+        action.price ? formatNumber(action.price) : '',
+        action.qty || '',
+        action.estimation ? formatNumber(action.estimation.trading_fee) : '',
+        action.errors.length > 0 ? action.errors.join(' ') : ['OK', ...action.warnings].join(' ')
+      ];
+    });
+
+    displayTable(
+      ['#', 'Action', 'Order ID', 'Contract', 'Side', 'Type', 'Price', 'Qty (Steps)', 'Est. Fee', 'Status'],
+      tableData
+    );
+
+    if (hasErrors) {
+      console.log('\nThe batch has errors and was not submitted. Fix the file and try again.');
+      return false;
+    }
+
+    const totalFee = actions.reduce((sum, a) => sum + (a.estimation ? parseFloat(a.estimation.trading_fee) || 0 : 0), 0);
+    console.log(`\nTotal estimated trading fee: ${formatNumber(totalFee)}`);
+
+    if (options.estimateOnly) return true;
+
+    if (!options.yes) {
+      const confirm = await question(`\nDo you want to submit these ${actions.length} action(s)? (yes/no): `);
+      if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+        console.log('Batch cancelled by user.');
+        return false;
+      }
+    }
+
+    const now = Date.now();
+    const params = {
+      actions: actions.map((action, index) => toBatchAction(action, index, now)),
+      timestamp: now,
+      recv_window: 30000
+    };
+
+    const result = await apiRequest('POST', '/v1/trading/batch-actions', params, true);
+    displayTransactionResult('Batch Actions Result', result, 'Batch successfully submitted!');
+
+    // Actions are executed optimistically, so report each one
+    if (result && Array.isArray(result.execution_results) && result.execution_results.length > 0) {
+      console.log('\nPer-action Results:');
+      displayTable(
+        ['#', 'Action', 'Result'],
+        actions.map((action, index) => [index + 1, action.action, result.execution_results[index] || 'N/A'])
+      );
+    }
+
+    return isTransactionSuccessful(result);
+  } catch (error) {
+    console.error('Error running batch:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  runBatch
+};
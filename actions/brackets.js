@@ -0,0 +1,430 @@
+// brackets.js - Client-side bracket (stop-loss / take-profit) orders
+const fs = require('fs');
+const path = require('path');
+const { apiRequest, formatNumber, displayTable, createStopSignal } = require('./utils');
+const { CONFIG_DIR } = require('./config');
+const {
+  submitOrder,
+  submitCancelOrder,
+  fetchOrder,
+  getOrderState,
+  getOrderStatus,
+  getOrderSide,
+  isTransactionSuccessful,
+  placeOrderFromOptions
+} = require('./trading');
+const { getContractDetails } = require('./markets');
+const { checkLimitPrice, reportValidation } = require('./validation');
+
+const BRACKETS_FILE = path.join(CONFIG_DIR, 'brackets.json');
+
+// Bracket lifecycle:
+// pending  - waiting for the entry order to fill
+// active   - entry filled (in part while entry_open), take-profit resting on the book, stop-loss watched locally
+// closed   - one exit fired and its sibling was cancelled (OCO)
+// cancelled - entry never filled or the bracket was cancelled by the user
+const OPEN_STATUSES = ['pending', 'active'];
+
+// Load brackets from disk
+function loadBrackets() {
+  try {
+    if (fs.existsSync(BRACKETS_FILE)) {
+      return JSON.parse(fs.readFileSync(BRACKETS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading brackets:', error.message);
+  }
+  return [];
+}
+
+// Save brackets to disk
+function saveBrackets(brackets) {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  }
+  fs.writeFileSync(BRACKETS_FILE, JSON.stringify(brackets, null, 2));
+}
+
+// Update one bracket on disk. The file is re-read first so brackets added or changed by another
+// command in the meantime (e.g. "cvex order --stop-loss" while the watcher runs) are kept.
+// Returns the updated bracket, or null if it no longer exists.
+function updateBracket(id, fields) {
+  const brackets = loadBrackets();
+  const index = brackets.findIndex(b => b.id === id);
+  if (index === -1) return null;
+
+  brackets[index] = { ...brackets[index], ...fields };
+  saveBrackets(brackets);
+  return brackets[index];
+}
+
+// Check stop-loss/take-profit levels against the entry side and reference price.
+// Returns an error message, or null if the levels are valid.
+function validateBracketLevels(side, stopLoss, takeProfit, referencePrice) {
+  const isBuy = side.toLowerCase() === 'buy';
+  const sl = stopLoss !== undefined && stopLoss !== null ? parseFloat(stopLoss) : null;
+  const tp = takeProfit !== undefined && takeProfit !== null ? parseFloat(takeProfit) : null;
+  const ref = parseFloat(referencePrice);
+
+  if (sl === null && tp === null) return 'A bracket needs a stop-loss and/or a take-profit price.';
+  if (sl !== null && (isNaN(sl) || sl <= 0)) return 'Invalid stop-loss price. Please enter a positive number.';
+  if (tp !== null && (isNaN(tp) || tp <= 0)) return 'Invalid take-profit price. Please enter a positive number.';
+
+  if (!isNaN(ref) && ref > 0) {
+    if (sl !== null && (isBuy ? sl >= ref : sl <= ref)) {
+      return `Stop-loss must be ${isBuy ? 'below' : 'above'} the entry price (${formatNumber(ref)}) for a ${side.toUpperCase()} entry.`;
+    }
+    if (tp !== null && (isBuy ? tp <= ref : tp >= ref)) {
+      return `Take-profit must be ${isBuy ? 'above' : 'below'} the entry price (${formatNumber(ref)}) for a ${side.toUpperCase()} entry.`;
+    }
+  } else if (sl !== null && tp !== null && (isBuy ? sl >= tp : sl <= tp)) {
+    return `Stop-loss must be ${isBuy ? 'below' : 'above'} take-profit for a ${side.toUpperCase()} entry.`;
+  }
+
+  return null;
+}
+
+// Register a bracket for a submitted entry order
+function createBracket(orderParams, stopLoss, takeProfit) {
+  const brackets = loadBrackets();
+  const bracket = {
+    id: `br-${Date.now()}`,
+    contract: orderParams.contract,
+    side: getOrderSide(orderParams).toLowerCase(),
+    entry_order_id: orderParams.customer_order_id,
+    stop_loss: stopLoss !== undefined && stopLoss !== null ? String(stopLoss) : null,
+    take_profit: takeProfit !== undefined && takeProfit !== null ? String(takeProfit) : null,
+    quantity_contracts: null,
+    take_profit_order_id: null,
+    status: 'pending',
+    exit_reason: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  brackets.push(bracket);
+  saveBrackets(brackets);
+
+  console.log(`\nBracket ${bracket.id} created for entry order ${bracket.entry_order_id}.`);
+  console.log(`Stop Loss: ${bracket.stop_loss || 'none'}, Take Profit: ${bracket.take_profit || 'none'}`);
+  console.log('Run "cvex brackets watch" to manage it.');
+  return bracket;
+}
+
+// Place an order from command-line flags and attach a bracket as soon as it is submitted
+async function placeBracketOrder(options, question) {
+  const referencePrice = options.type === 'limit' ? options.price : null;
+  const error = validateBracketLevels(options.side || 'buy', options.stopLoss, options.takeProfit, referencePrice);
+  if (error) {
+    console.log(error);
+    return null;
+  }
+
+  // The take-profit rests as a limit order on the opposite side, so it must sit on the tick too
+  let takeProfit = options.takeProfit;
+  if (takeProfit) {
+    const contract = await getContractDetails(options.contract, true);
+    if (contract) {
+      const exitSide = String(options.side).toLowerCase() === 'buy' ? 'sell' : 'buy';
+      const priceCheck = checkLimitPrice(contract, exitSide, takeProfit);
+      if (!reportValidation(priceCheck)) return null;
+      takeProfit = priceCheck.price;
+    }
+  }
+
+  // The bracket is registered once the entry is accepted, so it exists even if --wait times out
+  return placeOrderFromOptions(options, question, orderData => {
+    createBracket(orderData.orderParams, options.stopLoss, takeProfit);
+  });
+}
+
+// Get the latest mark price of a contract
+async function getLatestMarkPrice(contract) {
+  const result = await apiRequest('GET', `/v1/market/futures/${encodeURIComponent(contract)}/mark-price?period=1m&count=1`);
+  const data = (result && result.data) || [];
+  return data.length > 0 ? parseFloat(data[data.length - 1].price_close) : NaN;
+}
+
+// Build reduce-only exit order parameters for a bracket
+function buildExitOrderParams(bracket, type, limitPrice, quantity, customerOrderId) {
+  // Exits trade against the entry side
+  const signedQuantity = bracket.side === 'buy' ? `-${quantity}` : String(quantity);
+  return {
+    customer_order_id: customerOrderId,
+    contract: bracket.contract,
+    type,
+    limit_price: type === 'limit' ? String(limitPrice) : '0',
+    time_in_force: 'GTC',
+    reduce_only: true,
+    quantity_contracts: signedQuantity
+  };
+}
+
+// Rest a take-profit for the filled size that earlier take-profit orders have not closed yet
+async function placeTakeProfit(bracket) {
+  const remaining = parseFloat(bracket.quantity_contracts) - (parseFloat(bracket.take_profit_filled) || 0);
+  if (!(remaining > 0)) return;
+
+  // Each resized take-profit needs its own customer order ID
+  bracket.take_profit_count = (bracket.take_profit_count || 0) + 1;
+  const customerOrderId = bracket.take_profit_count > 1 ? `cli-tp-${bracket.id}-${bracket.take_profit_count}` : `cli-tp-${bracket.id}`;
+  const quantity = String(parseFloat(remaining.toPrecision(12)));
+  const orderParams = buildExitOrderParams(bracket, 'limit', bracket.take_profit, quantity, customerOrderId);
+  const result = await submitOrder({ orderParams });
+
+  if (!isTransactionSuccessful(result)) {
+    console.log(`[${bracket.id}] Take-profit order was rejected; only the stop-loss will be watched.`);
+  } else {
+    bracket.take_profit_order_id = customerOrderId;
+  }
+}
+
+// Cancel the resting take-profit, if any, and count what it filled before the cancel
+async function cancelTakeProfit(bracket) {
+  if (!bracket.take_profit_order_id) return;
+
+  const tpOrder = await fetchOrder(bracket.take_profit_order_id);
+  if (tpOrder && ['open', 'partially_filled'].includes(getOrderState(tpOrder))) {
+    await submitCancelOrder(tpOrder.order_id);
+  }
+  if (tpOrder) {
+    bracket.take_profit_filled = String((parseFloat(bracket.take_profit_filled) || 0) + (parseFloat(tpOrder.filled_quantity_contracts) || 0));
+  }
+  bracket.take_profit_order_id = null;
+}
+
+// Entry filled, in full or in part: protect the size filled so far and rest the take-profit on the book.
+// While the entry is still open (entry_open), later fills extend the bracket.
+async function activateBracket(bracket, entryOrder) {
+  bracket.quantity_contracts = entryOrder.filled_quantity_contracts;
+  bracket.entry_open = getOrderState(entryOrder) === 'partially_filled';
+  console.log(`[${bracket.id}] Entry filled: ${formatNumber(bracket.quantity_contracts)} contracts${bracket.entry_open ? ' so far' : ''}.`);
+
+  if (bracket.take_profit) await placeTakeProfit(bracket);
+  bracket.status = 'active';
+}
+
+// Entry still filling: grow the protected size and replace the take-profit with one for the new size
+async function extendBracket(bracket) {
+  const entryOrder = await fetchOrder(bracket.entry_order_id);
+  if (!entryOrder) return;
+
+  const entryOpen = getOrderState(entryOrder) === 'partially_filled';
+  if (!((parseFloat(entryOrder.filled_quantity_contracts) || 0) > parseFloat(bracket.quantity_contracts))) {
+    bracket.entry_open = entryOpen;
+    return;
+  }
+
+  // The size only grows once the old take-profit is out of the way, so a failed cancel is retried next tick
+  if (bracket.take_profit) await cancelTakeProfit(bracket);
+  bracket.quantity_contracts = entryOrder.filled_quantity_contracts;
+  bracket.entry_open = entryOpen;
+  console.log(`[${bracket.id}] Entry filled: ${formatNumber(bracket.quantity_contracts)} contracts${bracket.entry_open ? ' so far' : ''}.`);
+
+  if (bracket.take_profit) await placeTakeProfit(bracket);
+}
+
+// Stop-loss fired: cancel the rest of the entry and the resting take-profit, then close the remaining size at market
+async function triggerStopLoss(bracket, markPrice) {
+  console.log(`[${bracket.id}] Stop-loss ${formatNumber(bracket.stop_loss)} hit (mark ${formatNumber(markPrice)}).`);
+
+  if (bracket.entry_open) {
+    const entryOrder = await fetchOrder(bracket.entry_order_id);
+    if (entryOrder && ['open', 'partially_filled'].includes(getOrderState(entryOrder))) {
+      await submitCancelOrder(entryOrder.order_id);
+    }
+    if (entryOrder) bracket.quantity_contracts = entryOrder.filled_quantity_contracts;
+    bracket.entry_open = false;
+  }
+
+  await cancelTakeProfit(bracket);
+  const remaining = parseFloat(bracket.quantity_contracts) - (parseFloat(bracket.take_profit_filled) || 0);
+
+  if (remaining > 0) {
+    const quantity = String(parseFloat(remaining.toPrecision(12)));
+    const orderParams = buildExitOrderParams(bracket, 'market', 0, quantity, `cli-sl-${bracket.id}`);
+    const result = await submitOrder({ orderParams });
+    if (!isTransactionSuccessful(result)) {
+      // Leave the bracket active so the next tick retries the exit
+      console.log(`[${bracket.id}] Stop-loss exit was rejected, will retry.`);
+      return;
+    }
+  }
+
+  bracket.status = 'closed';
+  bracket.exit_reason = 'stop_loss';
+}
+
+// Advance a single bracket by one step
+async function processBracket(bracket) {
+  if (bracket.status === 'pending') {
+    // An entry rejected after submission is not found (404); getOrderStatus then looks up its rejection
+    const entryStatus = await getOrderStatus(bracket.entry_order_id);
+    if (!entryStatus) return;
+
+    const state = entryStatus.state;
+    if (state === 'rejected') {
+      console.log(`[${bracket.id}] Entry order was rejected (${entryStatus.rejectReason}). Bracket cancelled.`);
+      bracket.status = 'cancelled';
+      bracket.exit_reason = 'entry_rejected';
+    } else if (state === 'filled' || state === 'partially_cancelled' || state === 'partially_filled') {
+      await activateBracket(bracket, entryStatus.order);
+    } else if (state === 'cancelled') {
+      console.log(`[${bracket.id}] Entry order was cancelled without a fill. Bracket cancelled.`);
+      bracket.status = 'cancelled';
+    }
+    return;
+  }
+
+  if (bracket.status !== 'active') return;
+
+  if (bracket.entry_open) {
+    try {
+      await extendBracket(bracket);
+    } catch (error) {
+      // A failed lookup must not stop the checks below
+      console.log(`[${bracket.id}] Could not check entry order: ${error.message}`);
+    }
+  }
+
+  // Take-profit filled: nothing left for the stop-loss to protect, unless more of the entry can still fill
+  if (bracket.take_profit_order_id) {
+    let tpOrder = null;
+    try {
+      tpOrder = await fetchOrder(bracket.take_profit_order_id);
+    } catch (error) {
+      // A failed lookup must not stop the stop-loss check below
+      console.log(`[${bracket.id}] Could not check take-profit order: ${error.message}`);
+    }
+    if (tpOrder) {
+      const state = getOrderState(tpOrder);
+      if (state === 'filled' && !bracket.entry_open) {
+        console.log(`[${bracket.id}] Take-profit ${formatNumber(bracket.take_profit)} filled. Stop-loss dropped.`);
+        bracket.status = 'closed';
+        bracket.exit_reason = 'take_profit';
+        return;
+      }
+      if ((state === 'cancelled' || state === 'partially_cancelled') && !bracket.stop_loss) {
+        console.log(`[${bracket.id}] Take-profit order was cancelled outside the watcher. Bracket closed.`);
+        bracket.status = 'closed';
+        bracket.exit_reason = 'take_profit_cancelled';
+        return;
+      }
+    }
+  }
+
+  if (bracket.stop_loss) {
+    const markPrice = await getLatestMarkPrice(bracket.contract);
+    if (isNaN(markPrice)) return;
+
+    const stopLoss = parseFloat(bracket.stop_loss);
+    const triggered = bracket.side === 'buy' ? markPrice <= stopLoss : markPrice >= stopLoss;
+    if (triggered) {
+      await triggerStopLoss(bracket, markPrice);
+    }
+  }
+}
+
+// Watch open brackets until all of them are closed or cancelled
+async function watchBrackets(intervalSeconds = 5) {
+  console.log(`Watching brackets every ${intervalSeconds}s (Ctrl-C to stop, progress is saved)...`);
+
+  // Ctrl-C stops between brackets, so no bracket is left half processed
+  const signal = createStopSignal();
+  try {
+    while (!signal.stopped) {
+      const open = loadBrackets().filter(b => OPEN_STATUSES.includes(b.status));
+
+      if (open.length === 0) {
+        console.log('No open brackets to watch.');
+        return;
+      }
+
+      for (const { id } of open) {
+        if (signal.stopped) break;
+
+        // Re-read each bracket just before it is processed, in case it was cancelled meanwhile
+        const bracket = loadBrackets().find(b => b.id === id);
+        if (!bracket || !OPEN_STATUSES.includes(bracket.status)) continue;
+
+        try {
+          const before = bracket.status;
+          await processBracket(bracket);
+          if (bracket.status !== before) {
+            bracket.updated_at = new Date().toISOString();
+          }
+        } catch (error) {
+          console.error(`Error processing bracket ${bracket.id}:`, error.message);
+        }
+        // Persist after every bracket so a restarted watcher resumes where this one stopped
+        updateBracket(bracket.id, bracket);
+      }
+
+      await signal.wait(intervalSeconds * 1000);
+    }
+  } finally {
+    signal.dispose();
+  }
+
+  console.log('\nStopped watching brackets. Run "cvex brackets watch" again to resume.');
+}
+
+// List brackets
+function listBrackets(showAll = false) {
+  const brackets = loadBrackets().filter(b => showAll || OPEN_STATUSES.includes(b.status));
+
+  if (brackets.length === 0) {
+    console.log(showAll ? 'No brackets found.' : 'No open brackets.');
+    return;
+  }
+
+  const tableData = brackets.map(b => [
+    b.id,
+    b.contract,
+    b.side.toUpperCase(),
+    b.entry_order_id,
+    b.quantity_contracts ? formatNumber(b.quantity_contracts) : '-',
+    b.stop_loss ? formatNumber(b.stop_loss) : '-',
+    b.take_profit ? formatNumber(b.take_profit) : '-',
+    b.status,
+    b.exit_reason || ''
+  ]);
+
+  displayTable(
+    ['ID', 'Contract', 'Side', 'Entry Order', 'Size', 'Stop Loss', 'Take Profit', 'Status', 'Exit'],
+    tableData
+  );
+}
+
+// Cancel a bracket and its resting take-profit order (the position itself is left open)
+async function cancelBracket(id) {
+  try {
+    const bracket = loadBrackets().find(b => b.id === id);
+
+    if (!bracket || !OPEN_STATUSES.includes(bracket.status)) {
+      console.log(`No open bracket found with ID "${id}".`);
+      return;
+    }
+
+    if (bracket.take_profit_order_id) {
+      const tpOrder = await fetchOrder(bracket.take_profit_order_id);
+      if (tpOrder && ['open', 'partially_filled'].includes(getOrderState(tpOrder))) {
+        await submitCancelOrder(tpOrder.order_id);
+      }
+    }
+
+    updateBracket(id, { status: 'cancelled', exit_reason: 'user', updated_at: new Date().toISOString() });
+    console.log(`Bracket ${id} cancelled. Any open position is no longer protected.`);
+  } catch (error) {
+    console.error('Error cancelling bracket:', error.message);
+  }
+}
+
+module.exports = {
+  validateBracketLevels,
+  createBracket,
+  placeBracketOrder,
+  watchBrackets,
+  listBrackets,
+  cancelBracket
+};
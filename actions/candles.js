@@ -0,0 +1,165 @@
+// candles.js - Candle (price history) download and export
+const { apiRequest, formatNumber, displayTable, parseTimeRange, resolveExportFormat, writeExport } = require('./utils');
+const { readCachedCandles } = require('./store');
+
+// Candle periods supported by the price endpoints, with their length in milliseconds
+// (1M is treated as 31 days when sizing request windows)
+const PERIOD_MS = {
+  '1m': 60000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '3h': 10800000,
+  '4h': 14400000,
+  '8h': 28800000,
+  '1d': 86400000,
+  '5d': 432000000,
+  '7d': 604800000,
+  '1M': 2678400000
+};
+
+const CANDLE_FORMATS = ['table', 'csv', 'json', 'ndjson'];
+const CANDLE_FIELDS = ['time_open', 'time_close', 'price_open', 'price_high', 'price_low', 'price_close', 'volume_contracts', 'volume_base'];
+
+// Candles per request (the API allows up to 10,000; each 100 costs 1 API credit)
+const CANDLE_PAGE_SIZE = 1000;
+
+// Fetch all candles between from and to (Dates), paging through the price endpoint
+// in windows of CANDLE_PAGE_SIZE periods. Pass index to read an index instead of a contract.
+// With useCache, candles stored by the recorder are used and only newer ones are downloaded
+// (onCache is called with the number of cached candles used).
+// Returns candles sorted oldest first.
+async function fetchCandles(contract, { period, from, to, index = false, useCache = false, onPage = null, onCache = null }) {
+  const periodMs = PERIOD_MS[period];
+  const end = to.getTime();
+  const candles = new Map();
+  let cursor = from.getTime();
+
+  const cached = useCache && !index ? readCachedCandles(contract, period, from) : null;
+  if (cached) {
+    const used = cached.candles.filter(candle => Date.parse(candle.time_open) < end);
+    used.forEach(candle => candles.set(candle.time_open, candle));
+    if (onCache) onCache(used.length);
+    // Re-download from the newest stored candle; the Map replaces it if the API returns it again
+    cursor = Math.max(cursor, cached.lastOpen);
+  }
+
+  while (cursor < end) {
+    const windowEnd = Math.min(cursor + periodMs * CANDLE_PAGE_SIZE, end);
+    const query = `period=${period}&from=${new Date(cursor).toISOString()}&to=${new Date(windowEnd).toISOString()}&count=${CANDLE_PAGE_SIZE + 1}`;
+    const market = index ? 'indices' : 'futures';
+    const result = await apiRequest('GET', `/v1/market/${market}/${encodeURIComponent(contract)}/price?${query}`);
+
+    // Windows share their boundary, so de-duplicate on the open time
+    (result.data || []).forEach(candle => candles.set(candle.time_open, candle));
+    if (onPage) onPage(candles.size);
+    cursor = windowEnd;
+  }
+
+  // Keep the range half-open so consecutive exports do not overlap
+  return [...candles.values()]
+    .filter(candle => new Date(candle.time_open).getTime() < end)
+    .sort((a, b) => new Date(a.time_open) - new Date(b.time_open));
+}
+
+// Price about 24 hours ago: the open of the oldest of the last 24 hourly candles
+async function fetchReferencePrice(contract) {
+  const result = await apiRequest('GET', `/v1/market/futures/${encodeURIComponent(contract)}/price?period=1h&count=24`);
+  const data = ((result && result.data) || []).slice().sort((a, b) => new Date(a.time_open) - new Date(b.time_open));
+  return data.length > 0 ? parseFloat(data[0].price_open) : NaN;
+}
+
+// Serialise candles as CSV, JSON or NDJSON
+function formatCandles(candles, format) {
+  if (format === 'json') {
+    return JSON.stringify(candles, null, 2) + '\n';
+  }
+
+  if (format === 'ndjson') {
+    return candles.map(candle => JSON.stringify(candle)).join('\n') + (candles.length > 0 ? '\n' : '');
+  }
+
+  const rows = candles.map(candle => CANDLE_FIELDS.map(field => candle[field] !== undefined ? candle[field] : '').join(','));
+  return [CANDLE_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Fetch a candle range and print it as a table or export it to stdout or a file.
+// Returns true on success.
+async function showCandles(contract, options = {}) {
+  try {
+    const period = options.period || '1h';
+    if (!PERIOD_MS[period]) {
+      console.error(`Invalid period "${period}". Please use one of: ${Object.keys(PERIOD_MS).join(', ')}.`);
+      return false;
+    }
+
+    const format = resolveExportFormat(options.format, options.output);
+    if (!CANDLE_FORMATS.includes(format)) {
+      console.error(`Invalid format "${format}". Please use one of: ${CANDLE_FORMATS.join(', ')}.`);
+      return false;
+    }
+
+    // Without --from, fetch the latest --count candles (default 100)
+    const count = options.count !== undefined ? Number(options.count) : 100;
+    if (!Number.isInteger(count) || count <= 0) {
+      console.error(`Invalid --count "${options.count}". Please enter a positive integer.`);
+      return false;
+    }
+    const range = parseTimeRange(options, { to: 'now', from: to => new Date(to.getTime() - PERIOD_MS[period] * count) });
+    if (!range) return false;
+    const { from, to } = range;
+
+    const expected = Math.ceil((to - from) / PERIOD_MS[period]);
+    const pages = Math.ceil(expected / CANDLE_PAGE_SIZE);
+    console.error(`Fetching ~${expected} ${period} candles for ${contract} from ${from.toISOString()} to ${to.toISOString()} (${pages} request(s))...`);
+
+    const candles = await fetchCandles(contract, {
+      period,
+      from,
+      to,
+      useCache: options.cache !== false,
+      onPage: pages > 1 ? (total => console.error(`  ${total} candles fetched...`)) : null,
+      onCache: count => console.error(`  ${count} candles read from the local recorder cache.`)
+    });
+
+    if (format === 'table') {
+      if (candles.length === 0) {
+        console.log('No candles in this range.');
+        return true;
+      }
+
+      console.log(`\n${contract} ${period} candles:`);
+      displayTable(
+        ['Time', 'Open', 'High', 'Low', 'Close', 'Volume (Contracts)'],
+        candles.map(candle => [
+          new Date(candle.time_open).toLocaleString(),
+          formatNumber(candle.price_open),
+          formatNumber(candle.price_high),
+          formatNumber(candle.price_low),
+          formatNumber(candle.price_close),
+          formatNumber(candle.volume_contracts)
+        ])
+      );
+      console.log(`\n${candles.length} candle(s).`);
+      return true;
+    }
+
+    writeExport(formatCandles(candles, format), options.output, `${candles.length} candle(s) (${format})`);
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching candles:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  PERIOD_MS,
+  CANDLE_FORMATS,
+  fetchCandles,
+  fetchReferencePrice,
+  formatCandles,
+  showCandles
+};
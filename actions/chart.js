@@ -0,0 +1,204 @@
+// chart.js - Terminal price charts (candlestick, line and sparkline)
+const { formatNumber } = require('./utils');
+const { PERIOD_MS, fetchCandles } = require('./candles');
+
+const CHART_TYPES = ['candle', 'line', 'spark'];
+
+// Glyph sets for Unicode terminals and plain ASCII
+const GLYPHS = {
+  unicode: { up: '█', down: '▒', wick: '│', point: '●', link: '│', spark: '▁▂▃▄▅▆▇█', bar: '█' },
+  ascii: { up: '#', down: '=', wick: '|', point: '*', link: '|', spark: '_.-:=+*#', bar: '#' }
+};
+
+// Guess whether the terminal can display Unicode box/block characters
+function supportsUnicode() {
+  if (process.platform === 'win32') return Boolean(process.env.WT_SESSION || process.env.TERM_PROGRAM);
+  const locale = process.env.LC_ALL || process.env.LC_CTYPE || process.env.LANG || '';
+  return /utf-?8/i.test(locale);
+}
+
+// Colour up/down glyphs only on a TTY, and never when NO_COLOR is set
+function supportsColor() {
+  return Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+}
+
+function colorize(text, color, useColor) {
+  if (!useColor || !color) return text;
+  const code = color === 'green' ? 32 : 31;
+  return `\x1b[${code}m${text}\x1b[0m`;
+}
+
+// Map a price to a chart row (0 = top)
+function priceToRow(price, min, max, height) {
+  if (max === min) return Math.floor(height / 2);
+  return Math.round((max - price) / (max - min) * (height - 1));
+}
+
+// Price labels for the right-hand axis: top, middle and bottom rows
+function axisLabel(row, min, max, height) {
+  if (row !== 0 && row !== height - 1 && row !== Math.floor((height - 1) / 2)) return '';
+  const price = max - (max - min) * row / Math.max(height - 1, 1);
+  return formatNumber(parseFloat(price.toPrecision(6)));
+}
+
+// Render the price area of a candlestick or line chart as rows of cells
+function renderPriceRows(candles, { type, height, spacing, glyphs, useColor }) {
+  const highs = candles.map(c => parseFloat(type === 'line' ? c.price_close : c.price_high));
+  const lows = candles.map(c => parseFloat(type === 'line' ? c.price_close : c.price_low));
+  const max = Math.max(...highs);
+  const min = Math.min(...lows);
+  const rows = Array.from({ length: height }, () => Array(candles.length * spacing).fill(' '));
+
+  candles.forEach((candle, index) => {
+    const column = index * spacing;
+    const open = parseFloat(candle.price_open);
+    const close = parseFloat(candle.price_close);
+    const color = close >= open ? 'green' : 'red';
+
+    if (type === 'line') {
+      // Plot the close and join it vertically to the previous close
+      const row = priceToRow(close, min, max, height);
+      if (index > 0) {
+        const previous = priceToRow(parseFloat(candles[index - 1].price_close), min, max, height);
+        for (let r = Math.min(row, previous) + 1; r < Math.max(row, previous); r++) {
+          rows[r][column] = glyphs.link;
+        }
+      }
+      rows[row][column] = colorize(glyphs.point, color, useColor);
+      return;
+    }
+
+    const highRow = priceToRow(parseFloat(candle.price_high), min, max, height);
+    const lowRow = priceToRow(parseFloat(candle.price_low), min, max, height);
+    const bodyTop = priceToRow(Math.max(open, close), min, max, height);
+    const bodyBottom = priceToRow(Math.min(open, close), min, max, height);
+
+    for (let r = highRow; r <= lowRow; r++) {
+      const inBody = r >= bodyTop && r <= bodyBottom;
+      const glyph = inBody ? (close >= open ? glyphs.up : glyphs.down) : glyphs.wick;
+      rows[r][column] = colorize(glyph, color, useColor);
+    }
+  });
+
+  return rows.map((cells, row) => `${cells.join('')} ${axisLabel(row, min, max, height)}`);
+}
+
+// Render volume bars under the chart
+function renderVolumeRows(candles, { height, spacing, glyphs }) {
+  const volumes = candles.map(c => parseFloat(c.volume_contracts) || 0);
+  const maxVolume = Math.max(...volumes);
+  const rows = Array.from({ length: height }, () => Array(candles.length * spacing).fill(' '));
+
+  volumes.forEach((volume, index) => {
+    const barHeight = maxVolume > 0 ? Math.round(volume / maxVolume * height) : 0;
+    for (let r = height - barHeight; r < height; r++) {
+      rows[r][index * spacing] = glyphs.bar;
+    }
+  });
+
+  return rows.map((cells, row) => `${cells.join('')} ${row === 0 ? `vol ${formatNumber(maxVolume)}` : ''}`);
+}
+
+// Render a one-line sparkline of closing prices
+function renderSparkline(candles, glyphs) {
+  const closes = candles.map(c => parseFloat(c.price_close));
+  const max = Math.max(...closes);
+  const min = Math.min(...closes);
+  const levels = glyphs.spark.length;
+
+  const line = closes.map(close => {
+    const level = max === min ? Math.floor(levels / 2) : Math.round((close - min) / (max - min) * (levels - 1));
+    return glyphs.spark[level];
+  }).join('');
+
+  return `${line} ${formatNumber(min)} - ${formatNumber(max)}`;
+}
+
+// Number of candles that fit the plot area for a given terminal width
+function getChartCapacity(width, type) {
+  const plotWidth = Math.max(10, width - 16);
+  return type === 'spark' ? plotWidth : Math.floor(plotWidth / 2);
+}
+
+// Render candles as chart lines.
+// options: type (candle|line|spark), width, height, volume, ascii
+function renderChart(candles, options = {}) {
+  if (candles.length === 0) return ['No candles to chart.'];
+
+  const type = options.type || 'candle';
+  const width = options.width || process.stdout.columns || 80;
+  const glyphs = options.ascii || !supportsUnicode() ? GLYPHS.ascii : GLYPHS.unicode;
+  const useColor = supportsColor();
+
+  // Keep the latest candles that fit, using a gap column between candles when there is room
+  const plotWidth = Math.max(10, width - 16);
+  const visible = candles.slice(-plotWidth);
+  if (type === 'spark') return [renderSparkline(visible, glyphs)];
+
+  const spacing = visible.length * 2 <= plotWidth ? 2 : 1;
+  const height = options.height || 15;
+  const lines = renderPriceRows(visible, { type, height, spacing, glyphs, useColor });
+
+  // Indices have no traded volume, so skip the bars when there is nothing to show
+  const hasVolume = visible.some(c => parseFloat(c.volume_contracts) > 0);
+  if (options.volume !== false && hasVolume) {
+    lines.push('');
+    lines.push(...renderVolumeRows(visible, { height: Math.max(2, Math.round(height / 4)), spacing, glyphs }));
+  }
+
+  // Time axis: first and last candle
+  const first = new Date(visible[0].time_open).toLocaleString();
+  const last = new Date(visible[visible.length - 1].time_open).toLocaleString();
+  const axisWidth = visible.length * spacing;
+  lines.push(first + last.padStart(Math.max(axisWidth - first.length, last.length + 1)));
+
+  return lines;
+}
+
+// Fetch recent candles and print a chart. Returns true on success.
+async function showChart(target, options = {}) {
+  try {
+    const period = options.period || '1h';
+    if (!PERIOD_MS[period]) {
+      console.log(`Invalid period "${period}". Please use one of: ${Object.keys(PERIOD_MS).join(', ')}.`);
+      return false;
+    }
+
+    const type = options.type || 'candle';
+    if (!CHART_TYPES.includes(type)) {
+      console.log(`Invalid chart type "${type}". Please use one of: ${CHART_TYPES.join(', ')}.`);
+      return false;
+    }
+
+    const width = parseInt(options.width) || process.stdout.columns || 80;
+    const count = parseInt(options.count) || getChartCapacity(width, type);
+    const to = new Date();
+    const from = new Date(to.getTime() - PERIOD_MS[period] * count);
+
+    const candles = await fetchCandles(target, { period, from, to, index: Boolean(options.index) });
+    const label = options.index ? `${target} index` : target;
+
+    console.log(`\n${label} ${period} ${type === 'spark' ? 'sparkline' : 'chart'} (${candles.length} candles):`);
+    renderChart(candles, {
+      type,
+      width,
+      height: parseInt(options.height) || undefined,
+      volume: options.volume,
+      ascii: options.ascii
+    }).forEach(line => console.log(line));
+
+    return true;
+  } catch (error) {
+    console.error('Error rendering chart:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  CHART_TYPES,
+  supportsUnicode,
+  supportsColor,
+  colorize,
+  renderChart,
+  showChart
+};
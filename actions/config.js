@@ -50,5 +50,6 @@ module.exports = {
   loadConfig,
   saveConfig,
   getConfig,
+  CONFIG_DIR,
   CONFIG_FILE
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+// favorites.js - Favourite contracts and indices, synced with the exchange watchlist
+const { apiRequest, formatNumber, displayTable } = require('./utils');
+
+// Fetch the favourites stored on the exchange (shared with the web app)
+async function fetchFavorites() {
+  const result = await apiRequest('GET', '/v1/favorites');
+  return Array.isArray(result) ? result : [];
+}
+
+// Fetch every contract (including settled ones) and every index, to resolve favourites by ID or symbol
+async function fetchMarketLookup() {
+  const [futures, indices] = await Promise.all([
+    apiRequest('GET', '/v1/market/futures?active=true&pending=true&settlement_started=true&settled=true'),
+    apiRequest('GET', '/v1/market/indices')
+  ]);
+  return { contracts: futures.contracts || [], indices: indices.indices || [] };
+}
+
+// Find a contract, or failing that an index, by ID or symbol.
+// Returns { type: 'contract'|'index', id, symbol, item } or null.
+function findMarket(lookup, target) {
+  const key = String(target).toLowerCase();
+  const contract = lookup.contracts.find(c => String(c.contract_id) === key || c.symbol.toLowerCase() === key);
+  if (contract) return { type: 'contract', id: contract.contract_id, symbol: contract.symbol, item: contract };
+
+  const index = lookup.indices.find(i => i.symbol.toLowerCase() === key);
+  if (index) return { type: 'index', id: index.index_id, symbol: index.symbol, item: index };
+  return null;
+}
+
+function isSameFavorite(favorite, market) {
+  return market.type === 'contract' ? favorite.contract_id === market.id : favorite.index_id === market.id;
+}
+
+// Add a contract or index to the favourites. Returns true on success.
+async function addFavorite(target) {
+  try {
+    const [favorites, lookup] = await Promise.all([fetchFavorites(), fetchMarketLookup()]);
+    const market = findMarket(lookup, target);
+    if (!market) {
+      console.log(`No contract or index found for "${target}".`);
+      return false;
+    }
+
+    if (favorites.some(favorite => isSameFavorite(favorite, market))) {
+      console.log(`${market.symbol} is already a favourite.`);
+      return true;
+    }
+
+    await apiRequest('POST', '/v1/favorites', market.type === 'contract' ? { contract_id: market.id } : { index_id: market.id });
+    console.log(`Added ${market.type} ${market.symbol} to favourites.`);
+    return true;
+  } catch (error) {
+    console.error('Error adding favourite:', error.message);
+    return false;
+  }
+}
+
+// Remove a contract or index from the favourites. Returns true on success.
+async function removeFavorite(target) {
+  try {
+    const [favorites, lookup] = await Promise.all([fetchFavorites(), fetchMarketLookup()]);
+    const market = findMarket(lookup, target);
+    if (!market || !favorites.some(favorite => isSameFavorite(favorite, market))) {
+      console.log(`"${target}" is not in your favourites.`);
+      return false;
+    }
+
+    const param = market.type === 'contract' ? `contract_id=${market.id}` : `index_id=${market.id}`;
+    await apiRequest('DELETE', `/v1/favorites?${param}`);
+    console.log(`Removed ${market.type} ${market.symbol} from favourites.`);
+    return true;
+  } catch (error) {
+    console.error('Error removing favourite:', error.message);
+    return false;
+  }
+}
+
+// Show the favourites with their current prices
+async function listFavorites() {
+  try {
+    console.log('Fetching favourites...');
+    const [favorites, lookup] = await Promise.all([fetchFavorites(), fetchMarketLookup()]);
+
+    if (favorites.length === 0) {
+      console.log('No favourites yet. Add one with "cvex fav add <contract|index>".');
+      return [];
+    }
+
+    const rows = favorites.map(favorite => {
+      if (favorite.contract_id) {
+        const contract = lookup.contracts.find(c => c.contract_id === favorite.contract_id);
+        return [
+          'Contract',
+          contract ? contract.symbol : `#${favorite.contract_id}`,
+          contract ? contract.status : 'unknown',
+          contract ? formatNumber(contract.last_price) : '-',
+          contract ? formatNumber(contract.mark_price) : '-',
+          new Date(favorite.created_at).toLocaleString()
+        ];
+      }
+
+      const index = lookup.indices.find(i => i.index_id === favorite.index_id);
+      return [
+        'Index',
+        index ? index.symbol : `#${favorite.index_id}`,
+        '-',
+        index ? formatNumber(index.price) : '-',
+        '-',
+        new Date(favorite.created_at).toLocaleString()
+      ];
+    });
+
+    console.log('\nFavourites:');
+    displayTable(['Type', 'Symbol', 'Status', 'Last / Index Price', 'Mark Price', 'Added'], rows);
+    return favorites;
+  } catch (error) {
+    console.error('Error fetching favourites:', error.message);
+    return [];
+  }
+}
+
+// Active contract symbols for the favourites: favourite contracts plus every active expiry of a favourite index.
+// Used as the default set by commands such as "markets --favorites" and "watch".
+async function getFavoriteContractSymbols() {
+  const [favorites, lookup] = await Promise.all([fetchFavorites(), fetchMarketLookup()]);
+  const contractIds = new Set(favorites.filter(f => f.contract_id).map(f => f.contract_id));
+  const indexIds = new Set(favorites.filter(f => f.index_id).map(f => f.index_id));
+
+  return lookup.contracts
+    .filter(c => c.status === 'active' && (contractIds.has(c.contract_id) || indexIds.has(c.index_id)))
+    .map(c => c.symbol);
+}
+
+module.exports = {
+  fetchFavorites,
+  addFavorite,
+  removeFavorite,
+  listFavorites,
+  getFavoriteContractSymbols
+};
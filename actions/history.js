@@ -0,0 +1,509 @@
+// history.js - Order event and closed position history with filters and export
+const { formatNumber, displayTable, fetchAllEvents, formatCsv, parseTimeRange, resolveExportFormat, writeExport } = require('./utils');
+const { fetchAllTransactions } = require('./account');
+
+// Order event types, without the "order_" prefix the API uses
+const ORDER_EVENT_TYPES = [
+  'accepted',
+  'rejected',
+  'posted',
+  'filled',
+  'reduced',
+  'canceled',
+  'terminated',
+  'expired',
+  'cancel_rejected',
+  'reduce_rejected'
+];
+
+// Event types the event_types query parameter accepts; the others are filtered after fetching
+const API_ORDER_EVENT_TYPES = ['accepted', 'rejected', 'posted', 'filled', 'reduced', 'canceled', 'terminated'];
+
+const HISTORY_FORMATS = ['table', 'csv', 'json'];
+
+// Position events that leave the position flat
+const POSITION_CLOSE_EVENTS = ['position_closed', 'position_settled', 'position_liquidated'];
+
+const POSITION_EXPORT_FIELDS = [
+  'contract',
+  'direction',
+  'opened_at_utc',
+  'closed_at_utc',
+  'holding_hours',
+  'max_size_contracts',
+  'entry_price',
+  'exit_price',
+  'realized_pnl',
+  'fees',
+  'net_pnl',
+  'r_multiple',
+  'close_type'
+];
+
+const POSITION_SUMMARY_FIELDS = [
+  'contract',
+  'trades',
+  'wins',
+  'losses',
+  'win_rate_percent',
+  'realized_pnl',
+  'fees',
+  'net_pnl',
+  'average_pnl',
+  'risk_unit',
+  'average_r',
+  'average_holding_hours'
+];
+
+// Columns of the accounting export; times are UTC (ISO 8601)
+const ORDER_EXPORT_FIELDS = [
+  'time_utc',
+  'block_time_utc',
+  'event_id',
+  'transaction_hash',
+  'event_type',
+  'order_id',
+  'customer_order_id',
+  'contract',
+  'side',
+  'order_type',
+  'time_in_force',
+  'reduce_only',
+  'role',
+  'quantity_contracts',
+  'quantity_assets',
+  'limit_price',
+  'executed_price',
+  'notional',
+  'fee',
+  'reject_reason'
+];
+
+// Parse comma-separated event types ("filled,canceled" or "order_filled"). Returns API names, or null if any is unknown.
+function parseOrderEventTypes(value) {
+  if (!value) return [];
+  const types = value.split(',').map(type => type.trim().toLowerCase().replace(/^order_/, '')).filter(Boolean);
+  return types.every(type => ORDER_EVENT_TYPES.includes(type)) ? types.map(type => `order_${type}`) : null;
+}
+
+// Fetch every order event in a range, following all pages.
+// options: from, to (Dates), contract, eventTypes (API names), order, onPage
+async function fetchOrderHistory({ from, to, contract, eventTypes = [], order, onPage = null }) {
+  const params = [`from=${from.toISOString()}`, `to=${to.toISOString()}`];
+  if (contract) params.push(`contract=${encodeURIComponent(contract)}`);
+  if (order) params.push(`order=${encodeURIComponent(order)}`);
+
+  // The server only filters on its own event type list; if any other type is asked for,
+  // fetch every event and filter here instead
+  const serverSide = eventTypes.every(type => API_ORDER_EVENT_TYPES.includes(type.replace(/^order_/, '')));
+  if (serverSide) eventTypes.forEach(type => params.push(`event_types=${type}`));
+
+  const events = await fetchAllEvents('/v1/portfolio/history/orders', params, onPage);
+  return serverSide || eventTypes.length === 0 ? events : events.filter(event => eventTypes.includes(event.type));
+}
+
+// Trading fees per fill, keyed by order ID and transaction hash, from the transaction history of the range
+async function fetchFillFees(from, to) {
+  const fees = new Map();
+  (await fetchAllTransactions({ from, to }))
+    .filter(tx => tx.type === 'trading_fee' && tx.order_id !== undefined && tx.tx_info)
+    .forEach(tx => {
+      const key = `${tx.order_id}:${tx.tx_info.transaction_hash}`;
+      fees.set(key, (fees.get(key) || 0) + parseFloat(tx.amount));
+    });
+  return fees;
+}
+
+// Flatten an order event into an export record
+function toOrderRecord(event, fees) {
+  const isFill = event.type === 'order_filled';
+  const hash = event.tx_info ? event.tx_info.transaction_hash : '';
+  const executedPrice = parseFloat(event.executed_price);
+  const assets = Math.abs(parseFloat(event.quantity_assets));
+  const fee = isFill ? fees.get(`${event.order_id}:${hash}`) : undefined;
+
+  return {
+    time_utc: new Date(event.created_at).toISOString(),
+    block_time_utc: event.tx_info && event.tx_info.block_timestamp ? new Date(event.tx_info.block_timestamp).toISOString() : '',
+    event_id: event.tx_info ? event.tx_info.event_id : '',
+    transaction_hash: hash,
+    event_type: event.type.replace(/^order_/, ''),
+    order_id: event.order_id,
+    customer_order_id: event.customer_order_id || '',
+    contract: event.contract_info ? event.contract_info.symbol : event.contract_id,
+    side: event.side,
+    order_type: event.order_type,
+    time_in_force: event.time_in_force,
+    reduce_only: event.reduce_only ? 'true' : 'false',
+    role: event.role || '',
+    quantity_contracts: event.quantity_contracts,
+    quantity_assets: event.quantity_assets,
+    limit_price: event.limit_price || '',
+    executed_price: isFill ? event.executed_price : '',
+    notional: isFill && !isNaN(executedPrice) && !isNaN(assets) ? assets * executedPrice : '',
+    fee: fee !== undefined ? fee : '',
+    reject_reason: event.reject_reason || ''
+  };
+}
+
+// Describe a holding time
+function formatHoldingTime(ms) {
+  const minutes = ms / 60000;
+  if (minutes < 120) return `${Math.round(minutes)}m`;
+  return minutes < 2880 ? `${(minutes / 60).toFixed(1)}h` : `${(minutes / 1440).toFixed(1)}d`;
+}
+
+// Fetch every position event in a range, following all pages
+async function fetchPositionHistory({ from, to, contract, onPage = null }) {
+  const params = [`from=${from.toISOString()}`, `to=${to.toISOString()}`];
+  if (contract) params.push(`contract=${encodeURIComponent(contract)}`);
+  return fetchAllEvents('/v1/portfolio/history/positions', params, onPage);
+}
+
+// Rebuild closed positions from position events (oldest first): each one runs from position_opened
+// until the size returns to zero or flips to the other side. Returns { trades, openedBefore, stillOpen },
+// where openedBefore counts positions already open at the start of the range (skipped, their entry is
+// not in the range).
+function buildClosedPositions(events, fees) {
+  const open = new Map();
+  const trades = [];
+  let openedBefore = 0;
+
+  const startTrade = (contract, direction, openedAt) => {
+    const trade = {
+      contract,
+      direction,
+      opened_at: openedAt,
+      max_size: 0,
+      entry_price: 0,
+      exit_quantity: 0,
+      exit_notional: 0,
+      realized_pnl: 0,
+      fee_keys: new Set()
+    };
+    open.set(contract, trade);
+    return trade;
+  };
+
+  const closeTrade = (trade, closedAt, closeType) => {
+    open.delete(trade.contract);
+    // Fees are reported as the amount paid, whatever sign the transaction history uses
+    const paid = Math.abs([...trade.fee_keys].reduce((sum, key) => sum + (fees.get(key) || 0), 0));
+    trades.push({
+      contract: trade.contract,
+      direction: trade.direction,
+      opened_at: trade.opened_at,
+      closed_at: closedAt,
+      holding_ms: Date.parse(closedAt) - Date.parse(trade.opened_at),
+      max_size_contracts: trade.max_size,
+      entry_price: trade.entry_price,
+      exit_price: trade.exit_quantity > 0 ? trade.exit_notional / trade.exit_quantity : null,
+      realized_pnl: trade.realized_pnl,
+      fees: paid,
+      net_pnl: trade.realized_pnl - paid,
+      close_type: closeType
+    });
+  };
+
+  events.forEach(event => {
+    const contract = event.contract_info ? event.contract_info.symbol : String(event.contract_id);
+    const oldSize = parseFloat(event.old_size_contracts) || 0;
+    const newSize = parseFloat(event.new_size_contracts) || 0;
+    // One fill can take the size through zero (e.g. long 5 to short 3): that closes the position
+    // and opens one in the other direction
+    const flipped = oldSize * newSize < 0;
+    // On a flip only the old size is closed; the rest of the fill opens the new position
+    const quantity = flipped ? Math.abs(oldSize) : Math.abs(parseFloat(event.quantity_contracts)) || 0;
+    let trade = open.get(contract);
+
+    if (!trade) {
+      if (event.type !== 'position_opened' && !flipped) {
+        // Only count each position once, on the event that closes it
+        if (newSize === 0) openedBefore++;
+        return;
+      }
+      if (flipped) {
+        openedBefore++;
+      } else {
+        trade = startTrade(contract, event.side === 'buy' ? 'long' : 'short', event.created_at);
+      }
+    }
+
+    const size = Math.abs(newSize);
+    if (trade) {
+      if (event.type === 'position_opened' || event.type === 'position_increased') {
+        trade.entry_price = parseFloat(event.average_entry_price) || trade.entry_price;
+        trade.max_size = Math.max(trade.max_size, size);
+      } else {
+        trade.exit_quantity += quantity;
+        trade.exit_notional += quantity * (parseFloat(event.exit_price) || 0);
+      }
+      // The fill's realised P/L and fee belong to the position it closes
+      trade.realized_pnl += parseFloat(event.realised_profit) || 0;
+      if (event.order_id !== undefined && event.tx_info) trade.fee_keys.add(`${event.order_id}:${event.tx_info.transaction_hash}`);
+
+      if (flipped) {
+        closeTrade(trade, event.created_at, 'flipped');
+      } else if (size === 0 || POSITION_CLOSE_EVENTS.includes(event.type)) {
+        closeTrade(trade, event.created_at, event.type.replace(/^position_/, ''));
+      }
+    }
+
+    if (flipped) {
+      const next = startTrade(contract, newSize > 0 ? 'long' : 'short', event.created_at);
+      next.entry_price = parseFloat(event.average_entry_price) || parseFloat(event.exit_price) || 0;
+      next.max_size = size;
+    }
+  });
+
+  return { trades, openedBefore, stillOpen: open.size };
+}
+
+// Per-contract summary: win rate, P/L, fees and average R. One R is the fixed risk amount if given,
+// otherwise the average losing trade on that contract.
+function summarisePositions(trades, risk) {
+  const byContract = new Map();
+  trades.forEach(trade => {
+    if (!byContract.has(trade.contract)) byContract.set(trade.contract, []);
+    byContract.get(trade.contract).push(trade);
+  });
+
+  const summarise = (contract, list) => {
+    const losers = list.filter(t => t.net_pnl < 0);
+    const averageLoss = losers.length > 0 ? -losers.reduce((sum, t) => sum + t.net_pnl, 0) / losers.length : null;
+    const riskUnit = risk || averageLoss;
+    list.forEach(t => { t.r_multiple = riskUnit ? t.net_pnl / riskUnit : null; });
+
+    const wins = list.filter(t => t.net_pnl > 0).length;
+    const net = list.reduce((sum, t) => sum + t.net_pnl, 0);
+    return {
+      contract,
+      trades: list.length,
+      wins,
+      losses: losers.length,
+      win_rate_percent: wins + losers.length > 0 ? wins / (wins + losers.length) * 100 : null,
+      realized_pnl: list.reduce((sum, t) => sum + t.realized_pnl, 0),
+      fees: list.reduce((sum, t) => sum + t.fees, 0),
+      net_pnl: net,
+      average_pnl: net / list.length,
+      risk_unit: riskUnit,
+      average_r: riskUnit ? net / list.length / riskUnit : null,
+      average_holding_hours: list.reduce((sum, t) => sum + t.holding_ms, 0) / list.length / 3600000
+    };
+  };
+
+  const summaries = [...byContract.entries()].map(([contract, list]) => summarise(contract, list));
+  return summaries.sort((a, b) => b.net_pnl - a.net_pnl);
+}
+
+// Flatten a closed position into an export record
+function toPositionRecord(trade) {
+  return {
+    contract: trade.contract,
+    direction: trade.direction,
+    opened_at_utc: new Date(trade.opened_at).toISOString(),
+    closed_at_utc: new Date(trade.closed_at).toISOString(),
+    holding_hours: trade.holding_ms / 3600000,
+    max_size_contracts: trade.max_size_contracts,
+    entry_price: trade.entry_price,
+    exit_price: trade.exit_price !== null ? trade.exit_price : '',
+    realized_pnl: trade.realized_pnl,
+    fees: trade.fees,
+    net_pnl: trade.net_pnl,
+    r_multiple: trade.r_multiple !== null ? trade.r_multiple : '',
+    close_type: trade.close_type
+  };
+}
+
+function formatR(value) {
+  return value === null || value === undefined ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+}
+
+// Show closed positions with entry/exit prices, holding time, realised P/L and fees, and a
+// per-contract summary. options: contract, from, to, risk, summary, format, output, fees.
+// Returns true on success.
+async function showPositionHistory(options = {}) {
+  try {
+    const format = resolveExportFormat(options.format, options.output);
+    if (!HISTORY_FORMATS.includes(format)) {
+      console.error(`Invalid format "${format}". Please use one of: ${HISTORY_FORMATS.join(', ')}.`);
+      return false;
+    }
+
+    const risk = options.risk !== undefined ? parseFloat(options.risk) : null;
+    if (risk !== null && !(risk > 0)) {
+      console.error(`Invalid --risk "${options.risk}". Give the amount risked per trade (1R), e.g. 100.`);
+      return false;
+    }
+
+    const range = parseTimeRange(options, { from: '7d', to: 'now' });
+    if (!range) return false;
+
+    console.error(`Fetching position history from ${range.from.toISOString()} to ${range.to.toISOString()}...`);
+    const events = await fetchPositionHistory({
+      ...range,
+      contract: options.contract,
+      onPage: count => { if (count > 0) console.error(`  ${count} events fetched...`); }
+    });
+
+    const fees = events.length > 0 && options.fees !== false ? await fetchFillFees(range.from, range.to) : new Map();
+    const { trades, openedBefore, stillOpen } = buildClosedPositions(events, fees);
+    const summaries = summarisePositions(trades, risk);
+    const records = trades.map(toPositionRecord);
+
+    if (format === 'csv') {
+      const content = options.summary ? formatCsv(POSITION_SUMMARY_FIELDS, summaries) : formatCsv(POSITION_EXPORT_FIELDS, records);
+      writeExport(content, options.output, options.summary ? `${summaries.length} contract summary(ies) (csv)` : `${records.length} closed position(s) (csv)`);
+      return true;
+    }
+    if (format === 'json') {
+      const content = JSON.stringify(options.summary ? summaries : { positions: records, summary: summaries }, null, 2) + '\n';
+      writeExport(content, options.output, options.summary ? `${summaries.length} contract summary(ies) (json)` : `${records.length} closed position(s) (json)`);
+      return true;
+    }
+
+    if (trades.length === 0) {
+      console.log('No closed positions in this range.');
+    } else {
+      if (!options.summary) {
+        console.log('\nClosed Positions:');
+        displayTable(
+          ['Contract', 'Side', 'Opened', 'Closed', 'Held', 'Max Size', 'Entry', 'Exit', 'Realised P/L', 'Fees', 'Net P/L', 'R'],
+          trades.map(t => [
+            t.contract,
+            t.direction,
+            new Date(t.opened_at).toLocaleString(),
+            new Date(t.closed_at).toLocaleString(),
+            formatHoldingTime(t.holding_ms),
+            t.max_size_contracts,
+            formatNumber(t.entry_price),
+            t.exit_price !== null ? formatNumber(t.exit_price) : '-',
+            formatNumber(t.realized_pnl),
+            formatNumber(t.fees),
+            formatNumber(t.net_pnl),
+            formatR(t.r_multiple)
+          ])
+        );
+      }
+
+      const total = summarisePositions(trades.map(t => ({ ...t, contract: 'Total' })), risk)[0];
+      console.log('\nBy Contract:');
+      displayTable(
+        ['Contract', 'Trades', 'Win / Loss', 'Win Rate', 'Realised P/L', 'Fees', 'Net P/L', 'Avg P/L', 'Avg R', 'Avg Held'],
+        [...summaries, total].map(s => [
+          s.contract,
+          String(s.trades),
+          `${s.wins} / ${s.losses}`,
+          s.win_rate_percent !== null ? `${s.win_rate_percent.toFixed(1)}%` : 'N/A',
+          formatNumber(s.realized_pnl),
+          formatNumber(s.fees),
+          formatNumber(s.net_pnl),
+          formatNumber(s.average_pnl.toFixed(2)),
+          formatR(s.average_r),
+          formatHoldingTime(s.average_holding_hours * 3600000)
+        ])
+      );
+      console.log(risk
+        ? `\nR is net P/L divided by the risk per trade (1R = ${formatNumber(risk)}).`
+        : '\nR is net P/L divided by the average losing trade of the contract (set a fixed 1R with --risk).');
+    }
+
+    if (openedBefore > 0) console.log(`${openedBefore} position(s) opened before --from are not included; use an earlier --from to see them.`);
+    if (stillOpen > 0) console.log(`${stillOpen} position(s) are still open (see "cvex positions").`);
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching position history:', error.message);
+    return false;
+  }
+}
+
+// Show order events (accepted, posted, filled, reduced, canceled, ...) for a range, or export them.
+// options: contract, events, order, from, to, format, output, fees. Returns true on success.
+async function showOrderHistory(options = {}) {
+  try {
+    const eventTypes = parseOrderEventTypes(options.events);
+    if (!eventTypes) {
+      console.error(`Invalid event type in "${options.events}". Please use: ${ORDER_EVENT_TYPES.join(', ')}.`);
+      return false;
+    }
+
+    const format = resolveExportFormat(options.format, options.output);
+    if (!HISTORY_FORMATS.includes(format)) {
+      console.error(`Invalid format "${format}". Please use one of: ${HISTORY_FORMATS.join(', ')}.`);
+      return false;
+    }
+
+    const range = parseTimeRange(options, { from: '7d', to: 'now' });
+    if (!range) return false;
+
+    console.error(`Fetching order history from ${range.from.toISOString()} to ${range.to.toISOString()}...`);
+    const events = await fetchOrderHistory({
+      ...range,
+      contract: options.contract,
+      eventTypes,
+      order: options.order,
+      onPage: count => { if (count > 0) console.error(`  ${count} events fetched...`); }
+    });
+
+    const hasFills = events.some(event => event.type === 'order_filled');
+    const fees = hasFills && options.fees !== false ? await fetchFillFees(range.from, range.to) : new Map();
+    const records = events.map(event => toOrderRecord(event, fees));
+
+    if (format === 'csv') {
+      writeExport(formatCsv(ORDER_EXPORT_FIELDS, records), options.output, `${records.length} order event(s) (csv)`);
+      return true;
+    }
+    if (format === 'json') {
+      writeExport(JSON.stringify(records, null, 2) + '\n', options.output, `${records.length} order event(s) (json)`);
+      return true;
+    }
+
+    if (records.length === 0) {
+      console.log('No order events in this range.');
+      return true;
+    }
+
+    console.log('\nOrder History:');
+    displayTable(
+      ['Time', 'Event', 'Order ID', 'Contract', 'Side', 'Type', 'Quantity', 'Limit Price', 'Exec. Price', 'Fee'],
+      records.map(r => [
+        new Date(r.time_utc).toLocaleString(),
+        r.event_type,
+        r.order_id,
+        r.contract,
+        r.side,
+        r.order_type,
+        r.quantity_contracts,
+        r.limit_price ? formatNumber(r.limit_price) : '-',
+        r.executed_price ? formatNumber(r.executed_price) : '-',
+        r.fee !== '' ? formatNumber(r.fee) : '-'
+      ])
+    );
+
+    // Totals per event type, plus filled notional and fees for the range
+    const counts = {};
+    records.forEach(r => { counts[r.event_type] = (counts[r.event_type] || 0) + 1; });
+    const fills = records.filter(r => r.event_type === 'filled');
+    console.log(`\n${records.length} event(s): ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    if (fills.length > 0) {
+      console.log(`Filled notional: ${formatNumber(fills.reduce((sum, r) => sum + (r.notional || 0), 0))}`);
+      console.log(`Trading fees:    ${formatNumber(fills.reduce((sum, r) => sum + (r.fee || 0), 0))}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching order history:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  ORDER_EXPORT_FIELDS,
+  fetchOrderHistory,
+  showOrderHistory,
+  fetchPositionHistory,
+  buildClosedPositions,
+  showPositionHistory
+};
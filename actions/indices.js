@@ -0,0 +1,131 @@
+// indices.js - Index prices, basis and futures term structure
+const { apiRequest, formatNumber, formatPercent, displayTable } = require('./utils');
+
+const DAY_MS = 86400000;
+
+// Fetch active contracts grouped by index_id
+async function fetchContractsByIndex() {
+  const result = await apiRequest('GET', '/v1/market/futures?active=true');
+  const byIndex = {};
+  (result.contracts || []).forEach(contract => {
+    (byIndex[contract.index_id] = byIndex[contract.index_id] || []).push(contract);
+  });
+  return byIndex;
+}
+
+// List indices with their price and number of active expiries
+async function listIndices() {
+  try {
+    console.log('Fetching indices...');
+    const [result, contractsByIndex] = await Promise.all([
+      apiRequest('GET', '/v1/market/indices'),
+      fetchContractsByIndex()
+    ]);
+    const indices = result.indices || [];
+
+    if (indices.length === 0) {
+      console.log('No indices available.');
+      return [];
+    }
+
+    console.log('\nIndices:');
+    displayTable(
+      ['ID', 'Symbol', 'Description', 'Price', 'Active Expiries'],
+      indices.map(index => [
+        index.index_id,
+        index.symbol,
+        index.description,
+        formatNumber(index.price),
+        (contractsByIndex[index.index_id] || []).length
+      ])
+    );
+
+    return indices;
+  } catch (error) {
+    console.error('Error fetching indices:', error.message);
+    return [];
+  }
+}
+
+// Premium and annualised basis of one contract against its index price
+function computeBasis(contract, indexPrice, now = Date.now()) {
+  const mark = parseFloat(contract.mark_price);
+  const premium = mark - indexPrice;
+  const premiumPercent = indexPrice > 0 ? premium / indexPrice * 100 : NaN;
+  const daysToExpiry = (new Date(contract.settlement_time).getTime() - now) / DAY_MS;
+  // Simple (non-compounded) annualisation; undefined for expiries less than an hour away
+  const annualisedBasis = daysToExpiry > 1 / 24 ? premiumPercent * 365 / daysToExpiry : NaN;
+
+  return { mark, premium, premiumPercent, daysToExpiry, annualisedBasis };
+}
+
+// Show every active expiry on an index with premium, annualised basis and open interest
+async function showBasis(indexIdOrSymbol) {
+  try {
+    const result = await apiRequest('GET', `/v1/market/indices/${encodeURIComponent(indexIdOrSymbol)}`);
+    const index = result.details;
+    if (!index) {
+      console.log(`Index ${indexIdOrSymbol} not found.`);
+      return false;
+    }
+
+    const contractsByIndex = await fetchContractsByIndex();
+    const contracts = (contractsByIndex[index.index_id] || [])
+      .slice()
+      .sort((a, b) => new Date(a.settlement_time) - new Date(b.settlement_time));
+
+    console.log(`\n${index.symbol} Term Structure`);
+    console.log('-'.repeat(50));
+    console.log(`Index Price:                ${formatNumber(index.price)}`);
+    console.log(`Active Expiries:            ${contracts.length}`);
+    console.log('-'.repeat(50));
+
+    if (contracts.length === 0) {
+      console.log('No active contracts on this index.');
+      return true;
+    }
+
+    const now = Date.now();
+    const indexPrice = parseFloat(index.price);
+    const rows = contracts.map((contract, i) => {
+      const basis = computeBasis(contract, indexPrice, now);
+
+      // Forward basis between this expiry and the previous one, i.e. the carry of a calendar spread
+      let forward = NaN;
+      if (i > 0) {
+        const previous = computeBasis(contracts[i - 1], indexPrice, now);
+        const days = basis.daysToExpiry - previous.daysToExpiry;
+        if (days > 1 / 24 && previous.mark > 0) forward = (basis.mark - previous.mark) / previous.mark * 100 * 365 / days;
+      }
+
+      return [
+        contract.symbol,
+        new Date(contract.settlement_time).toLocaleDateString(),
+        basis.daysToExpiry.toFixed(1),
+        formatNumber(basis.mark),
+        formatNumber(basis.premium),
+        formatPercent(basis.premiumPercent),
+        formatPercent(basis.annualisedBasis),
+        i > 0 ? formatPercent(forward) : '-',
+        `${formatNumber(contract.open_interest)} (${formatNumber(contract.open_interest_contracts)} contracts)`
+      ];
+    });
+
+    displayTable(
+      ['Contract', 'Settlement', 'Days', 'Mark', 'Premium', 'Premium %', 'Basis (Ann.)', 'Fwd Basis (Ann.)', 'Open Interest'],
+      rows
+    );
+    console.log('\nBasis (Ann.) = premium / index x 365 / days to settlement. Fwd Basis is the annualised spread to the previous expiry.');
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching basis:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  listIndices,
+  computeBasis,
+  showBasis
+};
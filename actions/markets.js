@@ -1,40 +1,140 @@
 // markets.js - Market related actions
 const { apiRequest, formatNumber, displayTable } = require('./utils');
+const { fetchReferencePrice } = require('./candles');
+const { getFavoriteContractSymbols } = require('./favorites');
+
+const MARKET_SORTS = ['volume', 'oi', 'change', 'expiry'];
+
+// 24h change of a contract's last price, or NaN if no price history is available
+async function fetchChange24h(contract) {
+  try {
+    const reference = await fetchReferencePrice(contract.contract_id);
+    const last = parseFloat(contract.last_price);
+    return reference > 0 ? (last - reference) / reference * 100 : NaN;
+  } catch (error) {
+    return NaN;
+  }
+}
+
+// Order contracts for --sort: volume, open interest and change descending, expiry soonest first
+function sortContracts(contracts, sort) {
+  const numeric = value => parseFloat(value) || 0;
+  const compare = {
+    volume: (a, b) => numeric(b.volume_24h) - numeric(a.volume_24h),
+    oi: (a, b) => numeric(b.open_interest) - numeric(a.open_interest),
+    change: (a, b) => (isNaN(b.change_24h) ? -Infinity : b.change_24h) - (isNaN(a.change_24h) ? -Infinity : a.change_24h),
+    expiry: (a, b) => new Date(a.settlement_time) - new Date(b.settlement_time)
+  }[sort];
+  return contracts.slice().sort(compare);
+}
 
 // 1. Get list of markets/contracts
-async function listContracts() {
+// options: search (symbol/index substring), index (ID or symbol), sort (volume|oi|change|expiry),
+// expired (include settling and settled contracts), favorites (only favourite contracts and indices)
+async function listContracts(options = {}) {
   try {
+    if (options.sort && !MARKET_SORTS.includes(options.sort)) {
+      console.log(`Invalid sort "${options.sort}". Please use one of: ${MARKET_SORTS.join(', ')}.`);
+      return [];
+    }
+    
     console.log('Fetching available contracts...');
-    const result = await apiRequest('GET', '/v1/market/futures?active=true');
-    
-    if (result.contracts && result.contracts.length > 0) {
-      const tableData = result.contracts.map(contract => [
-        contract.contract_id,
-        contract.symbol,
-        contract.index,
-        formatNumber(contract.last_price),
-        formatNumber(contract.mark_price),
-        formatNumber(contract.volume_24h)
-      ]);
+    const query = options.expired ? 'active=true&settlement_started=true&settled=true' : 'active=true';
+    const result = await apiRequest('GET', `/v1/market/futures?${query}`);
+    let contracts = result.contracts || [];
+    
+    if (options.search) {
+      const search = options.search.toLowerCase();
+      contracts = contracts.filter(c => c.symbol.toLowerCase().includes(search) || String(c.index).toLowerCase().includes(search));
+    }
+    
+    if (options.index) {
+      const index = String(options.index).toLowerCase();
+      contracts = contracts.filter(c => String(c.index_id) === index || String(c.index).toLowerCase() === index);
+    }
+    
+    if (options.favorites) {
+      const symbols = new Set(await getFavoriteContractSymbols());
+      contracts = contracts.filter(c => symbols.has(c.symbol));
+    }
+    
+    // The API has no 24h change field, so it is derived from hourly candles only when sorting by it
+    if (options.sort === 'change') {
+      const changes = await Promise.all(contracts.map(fetchChange24h));
+      contracts = contracts.map((c, i) => ({ ...c, change_24h: changes[i] }));
+    }
+    
+    if (options.sort) contracts = sortContracts(contracts, options.sort);
+    
+    if (contracts.length > 0) {
+      const headers = ['ID', 'Symbol', 'Index', 'Last Price', 'Mark Price', '24h Volume', 'Open Interest', 'Settlement'];
+      if (options.sort === 'change') headers.push('24h Change');
+      if (options.expired) headers.push('Status');
+      
+      const tableData = contracts.map(contract => {
+        const row = [
+          contract.contract_id,
+          contract.symbol,
+          contract.index,
+          formatNumber(contract.last_price),
+          formatNumber(contract.mark_price),
+          formatNumber(contract.volume_24h),
+          formatNumber(contract.open_interest),
+          new Date(contract.settlement_time).toLocaleDateString()
+        ];
+        if (options.sort === 'change') {
+          row.push(isNaN(contract.change_24h) ? 'N/A' : `${contract.change_24h >= 0 ? '+' : ''}${contract.change_24h.toFixed(2)}%`);
+        }
+        if (options.expired) row.push(contract.status);
+        return row;
+      });
       
       console.log('\nAvailable Contracts:');
-      displayTable(
-        ['ID', 'Symbol', 'Index', 'Last Price', 'Mark Price', '24h Volume'],
-        tableData
-      );
+      displayTable(headers, tableData);
     } else {
-      console.log('No contracts available.');
+      const filtered = options.search || options.index || options.favorites;
+      console.log(filtered ? 'No contracts match the given filters.' : 'No contracts available.');
     }
     
-    return result.contracts || [];
+    return contracts;
   } catch (error) {
     console.error('Error fetching contracts:', error.message);
     return [];
   }
 }
 
-// 2. Get Market Data for the contract
-async function getMarketData(contractId) {
+// Order book aggregation: the API accepts price_step from 1x to 100000x the contract's price tick
+const ORDER_BOOK_STEP_MULTIPLIERS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000];
+const ORDER_BOOK_SIDES = ['both', 'bids', 'asks'];
+
+// List the suggested aggregation steps for a contract
+function getOrderBookSteps(contract) {
+  const tick = parseFloat(contract.price_tick);
+  if (!(tick > 0)) return ['1'];
+  return ORDER_BOOK_STEP_MULTIPLIERS.map(m => String(parseFloat((tick * m).toPrecision(12))));
+}
+
+// Check that a step is a whole multiple of the price tick within the API's range
+function isValidOrderBookStep(contract, step) {
+  const tick = parseFloat(contract.price_tick);
+  const value = parseFloat(step);
+  if (isNaN(step) || !(value > 0)) return false;
+  if (!(tick > 0)) return true;
+  
+  const ratio = value / tick;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-9 * Math.max(1, ratio) && ratio >= 1 && ratio <= 100000;
+}
+
+// Default step: the smallest suggested step of at least 1 basis point of the mark price
+function getDefaultOrderBookStep(contract) {
+  const steps = getOrderBookSteps(contract);
+  const price = parseFloat(contract.mark_price) || parseFloat(contract.last_price);
+  if (!price) return steps[0];
+  return steps.find(step => parseFloat(step) >= price * 0.0001) || steps[steps.length - 1];
+}
+
+// 2. Get Market Data for the contract (pass contract details to derive the order book step)
+async function getMarketData(contractId, contract = null) {
   try {
     // Contract price history
     console.log(`\nFetching price history for contract ${contractId}...`);
@@ -79,8 +179,9 @@ async function getMarketData(contractId) {
     
     // Order book
     console.log(`\nFetching order book for contract ${contractId}...`);
-    // Here we need price step, but we'll use a reasonable default for simplicity
-    const orderBook = await apiRequest('GET', `/v1/market/futures/${contractId}/order-book?price_step=1`);
+    const details = contract || await getContractDetails(contractId, true);
+    const priceStep = details ? getDefaultOrderBookStep(details) : '1';
+    const orderBook = await apiRequest('GET', `/v1/market/futures/${contractId}/order-book?price_step=${priceStep}`);
     
     if (orderBook.asks && orderBook.asks.length > 0) {
       const asksData = orderBook.asks.slice(0, 5).map(item => [
@@ -89,7 +190,7 @@ async function getMarketData(contractId) {
         formatNumber(item.quantity_base)
       ]);
       
-      console.log('\nTop 5 Asks:');
+      console.log(`\nTop 5 Asks (step ${priceStep}):`);
       displayTable(
         ['Price', 'Quantity (Contracts)', 'Quantity (Base)'],
         asksData
@@ -103,7 +204,7 @@ async function getMarketData(contractId) {
         formatNumber(item.quantity_base)
       ]);
       
-      console.log('\nTop 5 Bids:');
+      console.log(`\nTop 5 Bids (step ${priceStep}):`);
       displayTable(
         ['Price', 'Quantity (Contracts)', 'Quantity (Base)'],
         bidsData
@@ -114,14 +215,15 @@ async function getMarketData(contractId) {
   }
 }
 
-// 3. Getting Contract Details
-async function getContractDetails(contractId) {
+// 3. Getting Contract Details (pass silent to fetch without printing)
+async function getContractDetails(contractId, silent = false) {
   try {
-    console.log(`\nFetching details for contract ${contractId}...`);
+    if (!silent) console.log(`\nFetching details for contract ${contractId}...`);
     const result = await apiRequest('GET', `/v1/market/futures/${contractId}`);
     
     if (result.details) {
       const contract = result.details;
+      if (silent) return contract;
       
       console.log('\nContract Details:');
       console.log('-'.repeat(50));
@@ -172,7 +274,7 @@ async function selectContract(question) {
       
       // Get detailed contract information
       const contractDetails = await getContractDetails(contractId);
-      await getMarketData(contractId);
+      await getMarketData(contractId, contractDetails);
       
       return contractDetails;
     } else {
@@ -181,9 +283,106 @@ async function selectContract(question) {
   }
 }
 
+// Add cumulative contract quantities to order book levels, best price first
+function withCumulativeDepth(levels) {
+  let cumulative = 0;
+  return levels.map(level => {
+    cumulative += parseFloat(level.quantity_contracts) || 0;
+    return { ...level, cumulative };
+  });
+}
+
+// Show an aggregated order book with cumulative depth and mid/spread
+async function showOrderBook(contractId, options = {}) {
+  try {
+    const contract = await getContractDetails(contractId, true);
+    if (!contract) {
+      console.log(`Contract ${contractId} not found.`);
+      return false;
+    }
+    
+    const side = (options.side || 'both').toLowerCase();
+    if (!ORDER_BOOK_SIDES.includes(side)) {
+      console.log(`Invalid side. Please use one of: ${ORDER_BOOK_SIDES.join(', ')}.`);
+      return false;
+    }
+    
+    const depth = parseInt(options.depth || 10);
+    if (isNaN(depth) || depth <= 0) {
+      console.log('Invalid depth. Please enter a positive integer.');
+      return false;
+    }
+    
+    const priceStep = options.step !== undefined ? String(options.step) : getDefaultOrderBookStep(contract);
+    if (!isValidOrderBookStep(contract, priceStep)) {
+      console.log(`Invalid step ${priceStep}. It must be a multiple of the price tick ${contract.price_tick}, from 1x to 100000x.`);
+      console.log(`Suggested steps: ${getOrderBookSteps(contract).join(', ')}`);
+      return false;
+    }
+    
+    // Always fetch both sides so mid and spread can be shown
+    const orderBook = await apiRequest('GET', `/v1/market/futures/${contract.contract_id}/order-book?price_step=${priceStep}`);
+    const asks = withCumulativeDepth((orderBook.asks || []).slice(0, depth));
+    const bids = withCumulativeDepth((orderBook.bids || []).slice(0, depth));
+    const toRow = level => [
+      formatNumber(level.price),
+      formatNumber(level.quantity_contracts),
+      formatNumber(level.quantity_base),
+      formatNumber(level.cumulative)
+    ];
+    const headers = ['Price', 'Quantity (Contracts)', 'Quantity (Base)', 'Cumulative (Contracts)'];
+    
+    console.log(`\nOrder Book: ${contract.symbol} (step ${priceStep}, depth ${depth})`);
+    
+    if (side !== 'bids') {
+      console.log('\nAsks:');
+      if (asks.length > 0) {
+        // Highest ask first so the best ask sits next to the spread
+        displayTable(headers, [...asks].reverse().map(toRow));
+      } else {
+        console.log('No asks.');
+      }
+    }
+    
+    const bestAsk = orderBook.asks && orderBook.asks.length > 0 ? parseFloat(orderBook.asks[0].price) : null;
+    const bestBid = orderBook.bids && orderBook.bids.length > 0 ? parseFloat(orderBook.bids[0].price) : null;
+    
+    console.log('\n' + '-'.repeat(50));
+    console.log(`Best Bid / Ask:             ${bestBid !== null ? formatNumber(bestBid) : 'N/A'} / ${bestAsk !== null ? formatNumber(bestAsk) : 'N/A'}`);
+    if (bestBid !== null && bestAsk !== null) {
+      const mid = (bestBid + bestAsk) / 2;
+      const spread = bestAsk - bestBid;
+      console.log(`Mid Price:                  ${formatNumber(mid)}`);
+      console.log(`Spread:                     ${formatNumber(spread)} (${(spread / mid * 10000).toFixed(2)} bps)`);
+    }
+    console.log(`Mark Price:                 ${formatNumber(contract.mark_price)}`);
+    console.log('-'.repeat(50));
+    
+    if (side !== 'asks') {
+      console.log('\nBids:');
+      if (bids.length > 0) {
+        displayTable(headers, bids.map(toRow));
+      } else {
+        console.log('No bids.');
+      }
+    }
+    
+    console.log(`\nAvailable steps: ${getOrderBookSteps(contract).join(', ')}`);
+    return true;
+  } catch (error) {
+    console.error('Error fetching order book:', error.message);
+    return false;
+  }
+}
+
 module.exports = {
+  MARKET_SORTS,
   listContracts,
   getMarketData,
   getContractDetails,
-  selectContract
+  selectContract,
+  getOrderBookSteps,
+  isValidOrderBookStep,
+  getDefaultOrderBookStep,
+  showOrderBook
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+// pnl.js - Profit and loss, ROI and equity curve reporting
+const { apiRequest, formatNumber, displayTable, formatCsv, parseTimeRange, resolveExportFormat, writeExport } = require('./utils');
+const { PERIOD_MS } = require('./candles');
+const { renderChart } = require('./chart');
+const { fetchAllTransactions } = require('./account');
+
+const PNL_FORMATS = ['table', 'csv', 'json'];
+const PNL_FIELDS = ['from', 'to', 'pnl', 'realized', 'fees', 'unrealized', 'cumulative_pnl', 'drawdown'];
+
+// Transaction types booked as fees; they are part of P/L but neither realised nor unrealised
+const FEE_TYPES = ['trading_fee', 'operational_fee', 'premium', 'liquidation_fee', 'settlement_fee'];
+const YEAR_MS = 365 * 86400000;
+
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+// Largest fall of the cumulative P/L from a previous peak (the curve starts at 0)
+function computeDrawdown(periods) {
+  let peak = 0;
+  let peakTime = null;
+  let max = { amount: 0, peak_time: null, trough_time: null };
+
+  periods.forEach(period => {
+    if (period.cumulative_pnl > peak) {
+      peak = period.cumulative_pnl;
+      peakTime = period.to;
+    }
+    period.drawdown = peak - period.cumulative_pnl;
+    if (period.drawdown > max.amount) {
+      max = { amount: period.drawdown, peak_time: peakTime, trough_time: period.to };
+    }
+  });
+
+  return max;
+}
+
+// Win/loss counts and a Sharpe-like ratio: mean P/L per period over its standard deviation,
+// annualised by the number of periods in a year
+function computePeriodStats(periods, period) {
+  const values = periods.map(p => p.pnl);
+  const mean = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  const variance = values.length > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1) : 0;
+  const stdev = Math.sqrt(variance);
+  const wins = values.filter(v => v > 0).length;
+  const losses = values.filter(v => v < 0).length;
+
+  return {
+    periods: values.length,
+    winning_periods: wins,
+    losing_periods: losses,
+    flat_periods: values.length - wins - losses,
+    win_rate_percent: wins + losses > 0 ? wins / (wins + losses) * 100 : null,
+    best_period: values.length > 0 ? Math.max(...values) : null,
+    worst_period: values.length > 0 ? Math.min(...values) : null,
+    average_pnl: mean,
+    stdev_pnl: stdev,
+    sharpe_like: stdev > 0 ? mean / stdev * Math.sqrt(YEAR_MS / PERIOD_MS[period]) : null
+  };
+}
+
+// Build the P/L report for a range: P/L per period from the P/L chart, split into realised
+// (realized_profit transactions), fees (fee transactions, as a negative amount) and unrealised (the rest),
+// plus totals, ROI and curve statistics
+async function buildPnlReport({ period, from, to }) {
+  const range = `from=${from.toISOString()}&to=${to.toISOString()}`;
+  const [chart, total, roi, transactions] = await Promise.all([
+    apiRequest('GET', `/v1/portfolio/history/pnl?${range}&period=${period}`),
+    apiRequest('GET', `/v1/portfolio/pnl?${range}`),
+    apiRequest('GET', `/v1/portfolio/roi?${range}`),
+    fetchAllTransactions({ from, to })
+  ]);
+
+  const realizedEvents = transactions.filter(tx => tx.type === 'realized_profit');
+  const feeEvents = transactions.filter(tx => FEE_TYPES.includes(tx.type));
+  const sumInPeriod = (events, start, end) => events
+    .filter(tx => Date.parse(tx.created_at) >= start && Date.parse(tx.created_at) < end)
+    .reduce((sum, tx) => sum + parseFloat(tx.amount), 0);
+  let cumulative = 0;
+  const periods = (Array.isArray(chart) ? chart : [])
+    .slice()
+    .sort((a, b) => new Date(a.from) - new Date(b.from))
+    .map(item => {
+      const start = Date.parse(item.from);
+      const end = Date.parse(item.to);
+      const pnl = parseFloat(item.pnl) || 0;
+      const realized = sumInPeriod(realizedEvents, start, end);
+      // Fees always reduce P/L, whatever sign the transaction history books them with
+      const fees = -Math.abs(sumInPeriod(feeEvents, start, end));
+      cumulative += pnl;
+      return { from: item.from, to: item.to, pnl, realized, fees, unrealized: pnl - realized - fees, cumulative_pnl: cumulative };
+    });
+
+  const drawdown = computeDrawdown(periods);
+  const roiValue = parseFloat(roi && roi.roi);
+
+  return {
+    generated_at: new Date().toISOString(),
+    period,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    summary: {
+      pnl: parseFloat(total && total.pnl) || 0,
+      realized: periods.reduce((sum, p) => sum + p.realized, 0),
+      fees: periods.reduce((sum, p) => sum + p.fees, 0),
+      unrealized: periods.reduce((sum, p) => sum + p.unrealized, 0),
+      roi_percent: isNaN(roiValue) ? null : roiValue * 100,
+      max_drawdown: drawdown.amount,
+      max_drawdown_peak: drawdown.peak_time,
+      max_drawdown_trough: drawdown.trough_time,
+      ...computePeriodStats(periods, period)
+    },
+    periods
+  };
+}
+
+// Print the summary, the equity curve and the P/L per period
+function printPnlReport(report, options) {
+  const { summary, periods } = report;
+
+  console.log(`\nP/L from ${new Date(report.from).toLocaleString()} to ${new Date(report.to).toLocaleString()}`);
+  console.log('-'.repeat(50));
+  console.log(`Total P/L:                  ${formatSigned(summary.pnl)}`);
+  console.log(`Realised P/L:               ${formatSigned(summary.realized)}`);
+  console.log(`Fees:                       ${formatSigned(summary.fees)}`);
+  console.log(`Unrealised P/L:             ${formatSigned(summary.unrealized)}`);
+  console.log(`ROI:                        ${summary.roi_percent !== null ? `${summary.roi_percent.toFixed(2)}%` : 'N/A'}`);
+  console.log(`Max Drawdown:               ${formatNumber(summary.max_drawdown)}`);
+  if (summary.max_drawdown > 0) {
+    console.log(`  Peak / Trough:            ${new Date(summary.max_drawdown_peak || report.from).toLocaleString()} / ${new Date(summary.max_drawdown_trough).toLocaleString()}`);
+  }
+  console.log(`Winning / Losing Periods:   ${summary.winning_periods} / ${summary.losing_periods} (${summary.flat_periods} flat)`);
+  console.log(`Win Rate:                   ${summary.win_rate_percent !== null ? `${summary.win_rate_percent.toFixed(2)}%` : 'N/A'}`);
+  console.log(`Best / Worst Period:        ${summary.best_period !== null ? `${formatSigned(summary.best_period)} / ${formatSigned(summary.worst_period)}` : 'N/A'}`);
+  console.log(`Average P/L per Period:     ${formatSigned(summary.average_pnl)}`);
+  console.log(`Sharpe-like Ratio:          ${summary.sharpe_like !== null ? summary.sharpe_like.toFixed(2) : 'N/A'}`);
+  console.log('-'.repeat(50));
+
+  if (periods.length === 0) {
+    console.log('No P/L data in this range.');
+    return;
+  }
+
+  // The cumulative P/L is drawn as a line chart; each point is green when the period gained
+  if (options.chart !== false) {
+    const points = periods.map(p => ({
+      time_open: p.from,
+      price_open: p.cumulative_pnl - p.pnl,
+      price_close: p.cumulative_pnl
+    }));
+    console.log(`\nEquity curve (cumulative P/L per ${report.period}):`);
+    renderChart(points, {
+      type: 'line',
+      width: parseInt(options.width) || undefined,
+      height: parseInt(options.height) || 10,
+      ascii: options.ascii
+    }).forEach(line => console.log(line));
+  }
+
+  console.log(`\nP/L per ${report.period}:`);
+  displayTable(
+    ['From', 'P/L', 'Realised', 'Fees', 'Unrealised', 'Cumulative', 'Drawdown'],
+    periods.map(p => [
+      new Date(p.from).toLocaleString(),
+      formatSigned(p.pnl),
+      formatSigned(p.realized),
+      formatSigned(p.fees),
+      formatSigned(p.unrealized),
+      formatSigned(p.cumulative_pnl),
+      p.drawdown > 0 ? `-${formatNumber(p.drawdown)}` : '-'
+    ])
+  );
+  console.log('\nRealised P/L comes from realized_profit transactions and fees from fee transactions;');
+  console.log('unrealised is the rest of each period\'s P/L.');
+}
+
+// Show P/L, ROI and the equity curve for a range, or export them as CSV or JSON.
+// options: period, from, to, format, output, chart, width, height, ascii. Returns true on success.
+async function showPnl(options = {}) {
+  try {
+    const period = options.period || '1d';
+    if (!PERIOD_MS[period]) {
+      console.error(`Invalid period "${period}". Please use one of: ${Object.keys(PERIOD_MS).join(', ')}.`);
+      return false;
+    }
+
+    const format = resolveExportFormat(options.format, options.output);
+    if (!PNL_FORMATS.includes(format)) {
+      console.error(`Invalid format "${format}". Please use one of: ${PNL_FORMATS.join(', ')}.`);
+      return false;
+    }
+
+    const range = parseTimeRange(options, { from: '30d', to: 'now' });
+    if (!range) return false;
+    const { from, to } = range;
+
+    console.error(`Fetching ${period} P/L from ${from.toISOString()} to ${to.toISOString()}...`);
+    const report = await buildPnlReport({ period, from, to });
+
+    if (format === 'table') {
+      printPnlReport(report, options);
+      return true;
+    }
+
+    const content = format === 'json'
+      ? JSON.stringify(report, null, 2) + '\n'
+      : formatCsv(PNL_FIELDS, report.periods);
+    writeExport(content, options.output, `${report.periods.length} period(s) (${format})`);
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching P/L:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  PNL_FORMATS,
+  buildPnlReport,
+  showPnl
+};
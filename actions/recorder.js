@@ -0,0 +1,302 @@
+// recorder.js - Record candles, trades and order book snapshots locally with incremental sync
+const fs = require('fs');
+const { apiRequest, displayTable, parseTimeInput, parseEventId, compareEventIds, createStopSignal } = require('./utils');
+const { PERIOD_MS, fetchCandles } = require('./candles');
+const { getContractDetails, getDefaultOrderBookStep } = require('./markets');
+const {
+  DATA_DIR,
+  loadRecorderState,
+  saveRecorderState,
+  findRecordedContract,
+  getStreamFile,
+  appendRecords
+} = require('./store');
+
+const DEFAULT_RECORD_PERIODS = ['1m', '1h'];
+const DEFAULT_RECORD_SINCE = '7d';
+const TRADES_PAGE_SIZE = 1000;
+const BOOK_SNAPSHOT_LEVELS = 20;
+
+// Order trades by event ID, so the recorder can resume after the last stored one
+function compareTrades(a, b) {
+  return compareEventIds(a.tx_info.event_id, b.tx_info.event_id);
+}
+
+// Append closed candles newer than the last stored one. Returns the number of new candles.
+async function syncCandles(entry, period, now) {
+  const name = `candles-${period}`;
+  const stream = entry.streams[name] || {};
+  const lastOpen = stream.last_time ? Date.parse(stream.last_time) : null;
+  const from = new Date(lastOpen !== null ? lastOpen + 1 : Date.parse(entry.since));
+
+  const candles = (await fetchCandles(entry.symbol, { period, from, to: new Date(now) }))
+    // Only closed candles are stored, so the last one never changes after it is written
+    .filter(candle => (lastOpen === null || Date.parse(candle.time_open) > lastOpen) && Date.parse(candle.time_close) <= now);
+
+  appendRecords(getStreamFile(entry.symbol, name), candles);
+  if (candles.length > 0) {
+    stream.first_time = stream.first_time || candles[0].time_open;
+    stream.last_time = candles[candles.length - 1].time_open;
+  }
+  stream.count = (stream.count || 0) + candles.length;
+  stream.synced_at = new Date(now).toISOString();
+  entry.streams[name] = stream;
+  return candles.length;
+}
+
+// Append trades after the last stored one, paging forward by block. Returns the number of new trades.
+async function syncTrades(entry, now) {
+  const stream = entry.streams.trades || {};
+  const contract = encodeURIComponent(entry.symbol);
+  let fromBlock = stream.last_event_id ? parseEventId(stream.last_event_id).block : null;
+  // Resume after a block that was cut short rather than reading it again
+  if (fromBlock !== null && stream.truncated_block >= fromBlock) fromBlock = stream.truncated_block + 1;
+  let added = 0;
+
+  while (true) {
+    // The first sync only takes the latest 100 trades (there is no way to page back by time);
+    // later syncs read forward from the last stored block
+    const query = fromBlock !== null ? `count=${TRADES_PAGE_SIZE}&from_block_id=${fromBlock}` : 'count=100';
+    const result = await apiRequest('GET', `/v1/market/futures/${contract}/latest-trades?${query}`);
+    const page = (result.trades || []).slice().sort(compareTrades);
+    const trades = stream.last_event_id
+      ? page.filter(trade => compareTrades(trade, { tx_info: { event_id: stream.last_event_id } }) > 0)
+      : page;
+
+    appendRecords(getStreamFile(entry.symbol, 'trades'), trades);
+    if (trades.length > 0) stream.last_event_id = trades[trades.length - 1].tx_info.event_id;
+    added += trades.length;
+
+    // A full page may have more trades behind it. The API pages by block only, so when one block
+    // fills the page the rest of that block cannot be fetched: report it and carry on after it.
+    const nextBlock = page.length > 0 ? parseEventId(page[page.length - 1].tx_info.event_id).block : fromBlock;
+    if (fromBlock === null || page.length < TRADES_PAGE_SIZE) break;
+    if (nextBlock === fromBlock) {
+      console.log(`${entry.symbol}: block ${fromBlock} has at least ${TRADES_PAGE_SIZE} trades; any beyond the first ${TRADES_PAGE_SIZE} are not recorded.`);
+      stream.truncated_block = fromBlock;
+      fromBlock++;
+    } else {
+      fromBlock = nextBlock;
+    }
+  }
+
+  stream.count = (stream.count || 0) + added;
+  stream.synced_at = new Date(now).toISOString();
+  entry.streams.trades = stream;
+  return added;
+}
+
+// Append one order book snapshot (top levels per side at the default aggregation step)
+async function syncOrderBook(entry, now) {
+  const details = await getContractDetails(entry.symbol, true);
+  const step = details ? getDefaultOrderBookStep(details) : '1';
+  const book = await apiRequest('GET', `/v1/market/futures/${encodeURIComponent(entry.symbol)}/order-book?price_step=${step}`);
+
+  appendRecords(getStreamFile(entry.symbol, 'book'), [{
+    time: new Date(now).toISOString(),
+    block_id: book.block ? book.block.block_id : null,
+    price_step: step,
+    bids: (book.bids || []).slice(0, BOOK_SNAPSHOT_LEVELS),
+    asks: (book.asks || []).slice(0, BOOK_SNAPSHOT_LEVELS)
+  }]);
+
+  const stream = entry.streams.book || {};
+  stream.count = (stream.count || 0) + 1;
+  stream.synced_at = new Date(now).toISOString();
+  entry.streams.book = stream;
+  return 1;
+}
+
+// Sync every stream of one recorded contract, saving progress after each stream
+async function syncContract(state, entry) {
+  const now = Date.now();
+  const parts = [];
+
+  for (const period of entry.periods) {
+    parts.push(`${await syncCandles(entry, period, now)} ${period} candles`);
+    saveRecorderState(state);
+  }
+  if (entry.trades) {
+    parts.push(`${await syncTrades(entry, now)} trades`);
+    saveRecorderState(state);
+  }
+  if (entry.book) {
+    await syncOrderBook(entry, now);
+    parts.push('1 book snapshot');
+    saveRecorderState(state);
+  }
+
+  entry.last_sync = new Date(now).toISOString();
+  saveRecorderState(state);
+  console.log(`${entry.symbol}: +${parts.join(', +')}`);
+}
+
+// Sync the given recorded contracts (default: all). Returns true if every contract synced.
+async function syncRecordings(contracts = []) {
+  const state = loadRecorderState();
+  const entries = contracts.length > 0
+    ? contracts.map(contract => findRecordedContract(state, contract) || contract)
+    : Object.values(state.contracts).filter(entry => entry.active !== false);
+
+  if (entries.length === 0) {
+    console.log('Nothing is being recorded. Start with "cvex record start <contract>".');
+    return false;
+  }
+
+  let ok = true;
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      console.log(`${entry} is not being recorded.`);
+      ok = false;
+      continue;
+    }
+    try {
+      await syncContract(state, entry);
+    } catch (error) {
+      console.error(`Error syncing ${entry.symbol}:`, error.message);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// Add contracts to the recorder (or update their settings). Returns the recorded symbols, or null on error.
+async function addRecordings(contracts, options) {
+  const periods = options.periods ? options.periods.split(',').map(p => p.trim()).filter(Boolean) : DEFAULT_RECORD_PERIODS;
+  const invalid = periods.filter(period => !PERIOD_MS[period]);
+  if (invalid.length > 0) {
+    console.log(`Invalid period(s) ${invalid.join(', ')}. Please use: ${Object.keys(PERIOD_MS).join(', ')}.`);
+    return null;
+  }
+
+  const since = parseTimeInput(options.since || DEFAULT_RECORD_SINCE);
+  if (!since) {
+    console.log('Invalid --since. Use an ISO date/time or a duration ago such as 12h or 7d.');
+    return null;
+  }
+
+  const state = loadRecorderState();
+  const symbols = [];
+  for (const contract of contracts) {
+    const details = await getContractDetails(contract, true);
+    if (!details) {
+      console.log(`Contract ${contract} not found.`);
+      return null;
+    }
+
+    const entry = state.contracts[details.symbol] || {
+      contract_id: details.contract_id,
+      symbol: details.symbol,
+      since: since.toISOString(),
+      added_at: new Date().toISOString(),
+      streams: {}
+    };
+    // New periods backfill from --since; streams already recorded resume where they stopped
+    entry.periods = periods;
+    entry.active = true;
+    entry.trades = options.trades !== false;
+    entry.book = options.book !== false;
+    if (options.since) entry.since = since.toISOString();
+    state.contracts[details.symbol] = entry;
+    symbols.push(details.symbol);
+  }
+
+  saveRecorderState(state);
+  return symbols;
+}
+
+// Register contracts and keep syncing them every intervalSeconds until Ctrl-C
+async function startRecording(contracts, options) {
+  try {
+    let symbols = Object.values(loadRecorderState().contracts)
+      .filter(entry => entry.active !== false)
+      .map(entry => entry.symbol);
+    if (contracts.length > 0) {
+      symbols = await addRecordings(contracts, options);
+      if (!symbols) return false;
+    }
+    if (symbols.length === 0) {
+      console.log('Nothing to record. Give one or more contracts, e.g. "cvex record start BTC-28MAR25".');
+      return false;
+    }
+
+    const intervalSeconds = parseFloat(options.interval) > 0 ? parseFloat(options.interval) : 60;
+    console.log(`Recording ${symbols.join(', ')} every ${intervalSeconds}s into ${DATA_DIR} (Ctrl-C to stop)...`);
+
+    const signal = createStopSignal();
+    try {
+      while (!signal.stopped) {
+        console.log(`\n[${new Date().toLocaleTimeString()}] Syncing...`);
+        await syncRecordings(symbols);
+        await signal.wait(intervalSeconds * 1000);
+      }
+    } finally {
+      signal.dispose();
+    }
+
+    console.log('\nStopped recording. Run "cvex record sync" to catch up later.');
+    return true;
+  } catch (error) {
+    console.error('Error recording market data:', error.message);
+    return false;
+  }
+}
+
+// Stop recording contracts. Stored data is kept and still used as a cache.
+function stopRecording(contracts) {
+  const state = loadRecorderState();
+  let ok = true;
+  contracts.forEach(contract => {
+    const entry = findRecordedContract(state, contract);
+    if (!entry || entry.active === false) {
+      console.log(`${contract} is not being recorded.`);
+      ok = false;
+      return;
+    }
+    entry.active = false;
+    console.log(`Stopped recording ${entry.symbol}. Its data is kept and still used as a cache.`);
+  });
+  saveRecorderState(state);
+  return ok;
+}
+
+// Show what is recorded: records, time range and last sync per stream
+function showRecordingStatus() {
+  const entries = Object.values(loadRecorderState().contracts);
+  if (entries.length === 0) {
+    console.log('Nothing is being recorded. Start with "cvex record start <contract>".');
+    return;
+  }
+
+  const rows = [];
+  entries.forEach(entry => {
+    const streams = [...entry.periods.map(period => `candles-${period}`)];
+    if (entry.trades) streams.push('trades');
+    if (entry.book) streams.push('book');
+
+    streams.forEach(name => {
+      const stream = entry.streams[name] || {};
+      const file = getStreamFile(entry.symbol, name);
+      const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      rows.push([
+        entry.active === false ? `${entry.symbol} (stopped)` : entry.symbol,
+        name,
+        String(stream.count || 0),
+        stream.first_time ? new Date(stream.first_time).toLocaleString() : '-',
+        stream.last_time ? new Date(stream.last_time).toLocaleString() : '-',
+        stream.synced_at ? new Date(stream.synced_at).toLocaleString() : 'never',
+        `${(size / 1024).toFixed(1)} KB`
+      ]);
+    });
+  });
+
+  console.log(`\nRecorder (${DATA_DIR}):`);
+  displayTable(['Contract', 'Stream', 'Records', 'First Candle', 'Last Candle', 'Last Sync', 'Size'], rows);
+}
+
+module.exports = {
+  syncRecordings,
+  startRecording,
+  stopRecording,
+  showRecordingStatus
+};
@@ -0,0 +1,217 @@
+// rollover.js - Roll positions near settlement into the next expiry
+const { apiRequest, formatNumber, displayTable, parseDuration } = require('./utils');
+const { getContractDetails } = require('./markets');
+const { fetchOpenPositions } = require('./account');
+const { buildEstimatePayload, isTransactionSuccessful } = require('./trading');
+const { estimateAtomicOrders, submitAtomicOrders } = require('./atomic');
+const { resolveQuantity } = require('./sizing');
+const { validateOrder, reportValidation } = require('./validation');
+
+const DEFAULT_ROLLOVER_WINDOW = '3d';
+
+// Describe the time left until a settlement time
+function formatTimeLeft(ms) {
+  if (ms <= 0) return 'settling';
+  const hours = ms / 3600000;
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
+// Active and pending contracts on the indices of the given contracts, including recent listings from the
+// contracts history that the futures list does not show yet, and excluding contracts that have already settled.
+// Listings missing from the futures list are looked up in parallel, and only if their symbol starts with one
+// of the index symbols (contract symbols are prefixed with their index).
+async function fetchExpiries(contracts) {
+  const [futures, history] = await Promise.all([
+    apiRequest('GET', '/v1/market/futures?active=true&pending=true'),
+    apiRequest('GET', '/v1/market/contracts-history?count=100')
+  ]);
+
+  const indexIds = new Set(contracts.map(c => c.index_id));
+  const prefixes = contracts.map(c => c.index || '');
+  const events = (history && history.events) || [];
+  const settled = new Set(events.filter(e => e.type === 'contract_settled').map(e => e.symbol));
+  const listed = (futures && futures.contracts) || [];
+  const known = new Set(listed.map(c => c.symbol));
+
+  const unlisted = [...new Set(events
+    .filter(e => e.type === 'contract_created' && !known.has(e.symbol) && !settled.has(e.symbol))
+    .map(e => e.symbol))]
+    .filter(symbol => prefixes.some(prefix => symbol.startsWith(prefix)));
+  const created = await Promise.all(unlisted.map(symbol => getContractDetails(symbol, true)));
+
+  return listed.concat(created.filter(Boolean))
+    .filter(c => indexIds.has(c.index_id) && !settled.has(c.symbol) && (c.status === 'active' || c.status === 'pending'));
+}
+
+// The first expiry on the same index that settles after the given contract, with full contract details.
+// Pass the result of fetchExpiries to share one lookup between several contracts.
+async function findNextExpiry(contract, expiries = null) {
+  const candidates = expiries || await fetchExpiries([contract]);
+  const settlesAt = new Date(contract.settlement_time).getTime();
+
+  const next = candidates
+    .filter(c => c.index_id === contract.index_id && c.contract_id !== contract.contract_id && new Date(c.settlement_time).getTime() > settlesAt)
+    .sort((a, b) => new Date(a.settlement_time) - new Date(b.settlement_time))[0];
+
+  return next ? (await getContractDetails(next.contract_id, true)) || next : null;
+}
+
+// Build the two atomic legs: close the old position (reduce-only) and open the same size on the next expiry.
+// Both legs are IOC market orders sent in steps; the new leg is sized from the position's contracts since step sizes can differ.
+// Returns { orders } or { errors }.
+function buildRolloverLegs(position, oldContract, newContract) {
+  const isLong = parseFloat(position.size_contracts) > 0;
+  const now = Date.now();
+
+  const openQuantity = resolveQuantity(`${Math.abs(parseFloat(position.size_contracts))} contracts`, newContract);
+  if (openQuantity.error) return { errors: [openQuantity.error] };
+
+  const openValidation = validateOrder(newContract, {
+    orderSide: isLong ? 'buy' : 'sell',
+    orderType: 'market',
+    limitPrice: '0',
+    quantity: openQuantity
+  });
+  if (!reportValidation(openValidation)) return { errors: openValidation.errors };
+
+  const openSteps = Math.round(openValidation.quantity.steps);
+  if (!openSteps) return { errors: [`Cannot convert ${Math.abs(parseFloat(position.size_contracts))} contracts to steps on ${newContract.symbol}.`] };
+
+  return {
+    orders: [
+      {
+        customer_order_id: `cli-roll-${now}-1`,
+        ...buildEstimatePayload(oldContract.contract_id, {
+          orderSide: isLong ? 'sell' : 'buy',
+          orderType: 'market',
+          limitPrice: '0',
+          timeInForce: 'IOC',
+          reduceOnly: true,
+          quantitySteps: String(Math.abs(parseInt(position.size_steps)))
+        })
+      },
+      {
+        customer_order_id: `cli-roll-${now}-2`,
+        ...buildEstimatePayload(newContract.contract_id, {
+          orderSide: isLong ? 'buy' : 'sell',
+          orderType: 'market',
+          limitPrice: '0',
+          timeInForce: 'IOC',
+          reduceOnly: false,
+          quantitySteps: String(openSteps)
+        })
+      }
+    ]
+  };
+}
+
+// Find positions settling within the window and roll each one into the next expiry after confirmation.
+// Returns true if every roll that was attempted succeeded.
+async function rolloverPositions(options, question) {
+  try {
+    const window = options.within || DEFAULT_ROLLOVER_WINDOW;
+    const windowMs = parseDuration(window);
+    if (windowMs === null) {
+      console.log(`Invalid window "${window}". Use a duration such as 12h, 3d or 1w.`);
+      return false;
+    }
+
+    console.log('\nFetching open positions...');
+    const positions = await fetchOpenPositions(options.contract);
+    if (positions.length === 0) {
+      console.log('No open positions.');
+      return true;
+    }
+
+    // Work out which positions settle inside the window and what they roll into
+    const now = Date.now();
+    const plans = [];
+    for (const position of positions) {
+      const contract = await getContractDetails(position.contract_id || position.contract, true);
+      if (!contract) continue;
+
+      const timeLeft = new Date(contract.settlement_time).getTime() - now;
+      if (timeLeft > windowMs) continue;
+
+      plans.push({ position, contract, timeLeft });
+    }
+
+    if (plans.length === 0) {
+      console.log(`No positions settle within ${window}.`);
+      return true;
+    }
+
+    const expiries = await fetchExpiries(plans.map(plan => plan.contract));
+    for (const plan of plans) {
+      plan.next = await findNextExpiry(plan.contract, expiries);
+    }
+
+    console.log(`\nPositions settling within ${window}:`);
+    displayTable(
+      ['Contract', 'Size (Contracts)', 'Settles In', 'Next Expiry', 'Next Settlement', 'Mark (Old -> New)', 'Roll Spread'],
+      plans.map(({ position, contract, timeLeft, next }) => [
+        contract.symbol,
+        formatNumber(position.size_contracts),
+        formatTimeLeft(timeLeft),
+        next ? `${next.symbol}${next.status !== 'active' ? ` (${next.status})` : ''}` : 'None',
+        next ? new Date(next.settlement_time).toLocaleString() : '-',
+        next ? `${formatNumber(contract.mark_price)} -> ${formatNumber(next.mark_price)}` : '-',
+        next ? formatNumber(parseFloat(next.mark_price) - parseFloat(contract.mark_price)) : '-'
+      ])
+    );
+
+    let allSucceeded = true;
+    for (const { position, contract, next } of plans) {
+      console.log(`\nRolling ${contract.symbol}:`);
+
+      if (!next) {
+        console.log(`No later expiry found on ${contract.index}. Close the position manually or with "cvex flatten --contract ${contract.symbol}".`);
+        allSucceeded = false;
+        continue;
+      }
+      if (next.status !== 'active') {
+        console.log(`Next expiry ${next.symbol} is ${next.status} and cannot be traded yet (starts ${new Date(next.start_time).toLocaleString()}).`);
+        allSucceeded = false;
+        continue;
+      }
+
+      const legs = buildRolloverLegs(position, contract, next);
+      if (legs.errors) {
+        console.log(`Cannot roll ${contract.symbol}: ${legs.errors.join(' ')}`);
+        allSucceeded = false;
+        continue;
+      }
+
+      // Both legs go in one atomic request so they are accepted together or not at all
+      const estimations = await estimateAtomicOrders(legs.orders);
+      if (!estimations) {
+        console.log('Rollover estimation failed.');
+        allSucceeded = false;
+        continue;
+      }
+
+      if (options.estimateOnly) continue;
+
+      if (!options.yes) {
+        const confirm = await question(`\nClose ${contract.symbol} and open ${next.symbol} atomically? (yes/no): `);
+        if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+          console.log(`Rollover of ${contract.symbol} skipped.`);
+          continue;
+        }
+      }
+
+      const result = await submitAtomicOrders(legs.orders);
+      if (!isTransactionSuccessful(result)) allSucceeded = false;
+    }
+
+    return allSucceeded;
+  } catch (error) {
+    console.error('Error rolling over positions:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  findNextExpiry,
+  rolloverPositions
+};
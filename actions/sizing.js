@@ -0,0 +1,129 @@
+// sizing.js - Order size parsing and unit conversion
+const { formatNumber } = require('./utils');
+
+// Accepted inputs: "10 steps" / "10s", "0.5 contracts" / "0.5c", "0.01 assets" / "0.01a", "$500" / "500 usd".
+// A bare number uses the caller's default unit.
+const UNIT_ALIASES = {
+  s: 'steps', step: 'steps', steps: 'steps',
+  c: 'contracts', contract: 'contracts', contracts: 'contracts',
+  a: 'assets', asset: 'assets', assets: 'assets',
+  usd: 'usd', '$': 'usd'
+};
+
+// API quantity field used for each unit (USD notional is sent as assets)
+const UNIT_FIELDS = {
+  steps: 'quantity_steps',
+  contracts: 'quantity_contracts',
+  assets: 'quantity_assets',
+  usd: 'quantity_assets'
+};
+
+// Round away floating point noise for display and API strings
+function toDecimalString(value) {
+  return String(parseFloat(value.toPrecision(12)));
+}
+
+// Parse a quantity input into { unit, value }, or null if it is not a positive amount
+function parseQuantityInput(input, defaultUnit = 'steps') {
+  if (input === undefined || input === null) return null;
+  const text = String(input).trim().toLowerCase().replace(/,/g, '');
+
+  let unit = defaultUnit;
+  let amount = text;
+
+  if (amount.startsWith('$')) {
+    unit = 'usd';
+    amount = amount.slice(1).trim();
+  } else {
+    const match = amount.match(/^([\d.]+)\s*([a-z$]+)$/);
+    if (match) {
+      if (!UNIT_ALIASES[match[2]]) return null;
+      amount = match[1];
+      unit = UNIT_ALIASES[match[2]];
+    }
+  }
+
+  if (amount === '' || isNaN(amount) || parseFloat(amount) <= 0) return null;
+  if (unit === 'steps' && !Number.isInteger(parseFloat(amount))) return null;
+
+  return { unit, value: parseFloat(amount) };
+}
+
+// Conversion factors between units for a contract
+function getUnitConversions(contract) {
+  const minContracts = parseFloat(contract.min_order_size_contracts);
+  const minAssets = parseFloat(contract.min_order_size_assets);
+  const stepContracts = parseFloat(contract.step_size_contracts);
+
+  return {
+    assetsPerContract: minContracts > 0 && minAssets > 0 ? minAssets / minContracts : null,
+    contractsPerStep: stepContracts > 0 ? stepContracts : null,
+    markPrice: parseFloat(contract.mark_price) || parseFloat(contract.last_price) || null
+  };
+}
+
+// Resolve a quantity input against a contract into all units.
+// Returns { unit, field, value, steps, contracts, assets, notional } or { error }.
+function resolveQuantity(input, contract, defaultUnit = 'steps') {
+  const parsed = parseQuantityInput(input, defaultUnit);
+  if (!parsed) {
+    return { error: `Invalid quantity "${input}". Use e.g. "10 steps", "0.5 contracts", "0.01 assets" or "$500".` };
+  }
+
+  const { assetsPerContract, contractsPerStep, markPrice } = getUnitConversions(contract);
+  let contracts = null;
+  let assets = null;
+
+  if (parsed.unit === 'steps') {
+    contracts = contractsPerStep ? parsed.value * contractsPerStep : null;
+  } else if (parsed.unit === 'contracts') {
+    contracts = parsed.value;
+  } else if (parsed.unit === 'assets') {
+    assets = parsed.value;
+  } else {
+    if (!markPrice) return { error: 'Mark price not available, cannot convert a USD notional.' };
+    assets = parsed.value / markPrice;
+  }
+
+  if (contracts === null && assets !== null && assetsPerContract) contracts = assets / assetsPerContract;
+  if (assets === null && contracts !== null && assetsPerContract) assets = contracts * assetsPerContract;
+
+  const steps = parsed.unit === 'steps'
+    ? parsed.value
+    : (contracts !== null && contractsPerStep ? contracts / contractsPerStep : null);
+  const notional = assets !== null && markPrice ? assets * markPrice : null;
+
+  const value = parsed.unit === 'usd' ? toDecimalString(assets) : toDecimalString(parsed.value);
+
+  return {
+    unit: parsed.unit,
+    field: UNIT_FIELDS[parsed.unit],
+    value,
+    steps,
+    contracts,
+    assets,
+    notional
+  };
+}
+
+// Print a resolved quantity in every unit
+function displayResolvedQuantity(resolved) {
+  const show = (value) => (value === null || value === undefined ? 'N/A' : formatNumber(toDecimalString(value)));
+
+  console.log('\nResolved Order Size:');
+  console.log('-'.repeat(50));
+  console.log(`Steps:                      ${show(resolved.steps)}`);
+  console.log(`Contracts:                  ${show(resolved.contracts)}`);
+  console.log(`Assets:                     ${show(resolved.assets)}`);
+  console.log(`Notional (USD, at mark):    ${show(resolved.notional)}`);
+  console.log(`Sent as:                    ${resolved.field} = ${resolved.value}`);
+  console.log('-'.repeat(50));
+}
+
+module.exports = {
+  parseQuantityInput,
+  getUnitConversions,
+  resolveQuantity,
+  displayResolvedQuantity,
+  toDecimalString
+};
@@ -0,0 +1,126 @@
+// stats.js - Exchange-wide volume and fee statistics
+const { apiRequest, formatNumber, formatPercent, displayTable } = require('./utils');
+
+// Change of the last 24h against the daily average of the 6 days before it
+function computeDailyChange(volume24h, volume7d) {
+  const previousAverage = (volume7d - volume24h) / 6;
+  return {
+    previous_daily_average: previousAverage,
+    change_percent: previousAverage > 0 ? (volume24h - previousAverage) / previousAverage * 100 : null
+  };
+}
+
+// Build the statistics report: exchange totals from the statistics endpoints,
+// plus a per-contract breakdown from the active contracts' 24h and 7d volumes
+async function buildStatsReport() {
+  const [volume, fee, futures] = await Promise.all([
+    apiRequest('GET', '/v1/statistics/volume'),
+    apiRequest('GET', '/v1/statistics/fee'),
+    apiRequest('GET', '/v1/market/futures?active=true')
+  ]);
+
+  const dailyVolume = parseFloat(volume.daily_volume);
+  const dailyFee = parseFloat(fee.daily_fee);
+  const contracts = (futures.contracts || []).map(contract => {
+    const volume24h = parseFloat(contract.volume_24h) || 0;
+    const volume7d = parseFloat(contract.volume_7d) || 0;
+    return {
+      contract_id: contract.contract_id,
+      symbol: contract.symbol,
+      index: contract.index,
+      volume_24h: volume24h,
+      volume_7d: volume7d,
+      ...computeDailyChange(volume24h, volume7d),
+      open_interest: parseFloat(contract.open_interest) || 0
+    };
+  });
+
+  const volume24h = contracts.reduce((sum, c) => sum + c.volume_24h, 0);
+  const volume7d = contracts.reduce((sum, c) => sum + c.volume_7d, 0);
+  contracts.forEach(c => { c.share_percent = volume24h > 0 ? c.volume_24h / volume24h * 100 : null; });
+  contracts.sort((a, b) => b.volume_24h - a.volume_24h);
+
+  return {
+    generated_at: new Date().toISOString(),
+    exchange: {
+      daily_volume: dailyVolume,
+      total_volume: parseFloat(volume.total_volume),
+      daily_fee: dailyFee,
+      total_fee: parseFloat(fee.total_fee),
+      // Fees as a share of volume, in basis points
+      fee_rate_bps: dailyVolume > 0 ? dailyFee / dailyVolume * 10000 : null
+    },
+    contracts,
+    totals: {
+      volume_24h: volume24h,
+      volume_7d: volume7d,
+      ...computeDailyChange(volume24h, volume7d)
+    }
+  };
+}
+
+// Print exchange statistics as tables, or as JSON with options.json. Returns true on success.
+async function showStats(options = {}) {
+  try {
+    if (!options.json) console.log('Fetching exchange statistics...');
+    const report = await buildStatsReport();
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return true;
+    }
+
+    const { exchange, contracts, totals } = report;
+    console.log('\nExchange Statistics');
+    console.log('-'.repeat(50));
+    console.log(`Daily Volume:               ${formatNumber(exchange.daily_volume)}`);
+    console.log(`Total Volume:               ${formatNumber(exchange.total_volume)}`);
+    console.log(`Daily Fees:                 ${formatNumber(exchange.daily_fee)}`);
+    console.log(`Total Fees:                 ${formatNumber(exchange.total_fee)}`);
+    console.log(`Daily Fee Rate:             ${exchange.fee_rate_bps !== null ? `${exchange.fee_rate_bps.toFixed(2)} bps` : 'N/A'}`);
+    console.log('-'.repeat(50));
+
+    if (contracts.length === 0) {
+      console.log('No active contracts.');
+      return true;
+    }
+
+    console.log('\nVolume by Contract:');
+    displayTable(
+      ['Contract', 'Index', '24h Volume', 'Share', '7d Volume', 'Prev. 6d Avg', '24h vs Avg', 'Open Interest'],
+      [
+        ...contracts.map(c => [
+          c.symbol,
+          c.index,
+          formatNumber(c.volume_24h),
+          formatPercent(c.share_percent).replace('+', ''),
+          formatNumber(c.volume_7d),
+          formatNumber(Math.max(c.previous_daily_average, 0)),
+          formatPercent(c.change_percent),
+          formatNumber(c.open_interest)
+        ]),
+        [
+          'Total',
+          '',
+          formatNumber(totals.volume_24h),
+          '100.00%',
+          formatNumber(totals.volume_7d),
+          formatNumber(Math.max(totals.previous_daily_average, 0)),
+          formatPercent(totals.change_percent),
+          ''
+        ]
+      ]
+    );
+    console.log('\n24h vs Avg compares the last 24h with the daily average of the 6 days before it.');
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching statistics:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  buildStatsReport,
+  showStats
+};
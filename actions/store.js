@@ -0,0 +1,113 @@
+// store.js - Local market data store (JSONL files) used by the recorder and as a read cache
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, getConfig } = require('./config');
+
+const DATA_DIR = path.join(CONFIG_DIR, 'data');
+const RECORDER_FILE = path.join(DATA_DIR, 'recorder.json');
+
+// Trades and order book snapshots older than this are not served from the cache
+// (override with "cacheMaxAgeSeconds" in the config file)
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 120;
+
+// Load the recorder state: the recorded contracts and how far each stream has been synced
+function loadRecorderState() {
+  try {
+    if (fs.existsSync(RECORDER_FILE)) {
+      return JSON.parse(fs.readFileSync(RECORDER_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading recorder state:', error.message);
+  }
+  return { contracts: {} };
+}
+
+// Save the recorder state to disk
+function saveRecorderState(state) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(RECORDER_FILE, JSON.stringify(state, null, 2));
+}
+
+// Find a recorded contract by ID or symbol
+function findRecordedContract(state, contract) {
+  const key = String(contract).toLowerCase();
+  return Object.values(state.contracts).find(entry =>
+    String(entry.contract_id) === key || entry.symbol.toLowerCase() === key
+  ) || null;
+}
+
+// File of a stream ("candles-1h", "trades" or "book") for a contract symbol
+function getStreamFile(symbol, stream) {
+  return path.join(DATA_DIR, symbol, `${stream}.jsonl`);
+}
+
+// Append records to a JSONL file, creating its directory if needed
+function appendRecords(file, records) {
+  if (records.length === 0) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+// Read every record of a JSONL file, skipping a partially written last line
+function readRecords(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reduce((records, line) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore lines cut short by an interrupted write
+    }
+    return records;
+  }, []);
+}
+
+function getCacheMaxAgeMs() {
+  const seconds = parseFloat(getConfig().cacheMaxAgeSeconds);
+  return (seconds >= 0 ? seconds : DEFAULT_CACHE_MAX_AGE_SECONDS) * 1000;
+}
+
+// Stored candles for a contract and period from "from" onwards, or null if the recorder
+// does not cover that start. Returns { candles, lastOpen } where lastOpen is the open time
+// of the newest stored candle; anything after it has to come from the API.
+function readCachedCandles(contract, period, from) {
+  const entry = findRecordedContract(loadRecorderState(), contract);
+  const stream = entry && entry.streams && entry.streams[`candles-${period}`];
+  if (!stream || !stream.first_time || from.getTime() < Date.parse(stream.first_time)) return null;
+
+  const start = from.getTime();
+  const candles = readRecords(getStreamFile(entry.symbol, `candles-${period}`))
+    .filter(candle => Date.parse(candle.time_open) >= start);
+  return { candles, lastOpen: Date.parse(stream.last_time) };
+}
+
+// The latest stored trades (newest last), or null if they were not synced recently
+function readCachedTrades(contract, count) {
+  const entry = findRecordedContract(loadRecorderState(), contract);
+  const stream = entry && entry.streams && entry.streams.trades;
+  if (!stream || Date.now() - Date.parse(stream.synced_at) > getCacheMaxAgeMs()) return null;
+  return readRecords(getStreamFile(entry.symbol, 'trades')).slice(-count);
+}
+
+// The latest stored order book snapshot, or null if none was taken recently
+function readCachedOrderBook(contract) {
+  const entry = findRecordedContract(loadRecorderState(), contract);
+  const stream = entry && entry.streams && entry.streams.book;
+  if (!stream || Date.now() - Date.parse(stream.synced_at) > getCacheMaxAgeMs()) return null;
+  const snapshots = readRecords(getStreamFile(entry.symbol, 'book'));
+  return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+}
+
+module.exports = {
+  DATA_DIR,
+  loadRecorderState,
+  saveRecorderState,
+  findRecordedContract,
+  getStreamFile,
+  appendRecords,
+  readRecords,
+  readCachedCandles,
+  readCachedTrades,
+  readCachedOrderBook
+};
@@ -0,0 +1,140 @@
+// ticks.js - Block-level price history and live tailing
+const { apiRequest, formatNumber, displayTable, createStopSignal } = require('./utils');
+
+const DEFAULT_TICK_COUNT = 100;
+
+// Endpoint for a source: last trade or mark prices of a contract, or the price of an index
+function getTickEndpoint(target, source) {
+  const id = encodeURIComponent(target);
+  if (source === 'index') return `/v1/market/indices/${id}/block-prices`;
+  if (source === 'mark') return `/v1/market/futures/${id}/block-mark-prices`;
+  return `/v1/market/futures/${id}/block-prices`;
+}
+
+// Fetch one page of block prices, oldest first. Without fromBlock the latest blocks are returned.
+async function fetchBlockPrices(target, { source = 'trade', fromBlock = null, count = DEFAULT_TICK_COUNT } = {}) {
+  const query = `count=${count}${fromBlock !== null ? `&from_block_id=${fromBlock}` : ''}`;
+  const result = await apiRequest('GET', `${getTickEndpoint(target, source)}?${query}`);
+  return (Array.isArray(result) ? result : []).slice().sort((a, b) => a.block.block_id - b.block.block_id);
+}
+
+// One NDJSON record per block
+function formatTick(item, target, source) {
+  return JSON.stringify({
+    block_id: item.block.block_id,
+    block_timestamp: item.block.block_timestamp,
+    [source === 'index' ? 'index' : 'contract']: target,
+    source,
+    price: item.price
+  });
+}
+
+// Keep printing new blocks every intervalSeconds until Ctrl-C or the reader closes the pipe
+async function followTicks(target, source, lastBlock, count, intervalSeconds) {
+  const signal = createStopSignal();
+
+  // A closed pipe (e.g. "| head") ends the tail quietly; writes still queued fail the same way,
+  // so the handler stays attached once the pipe has closed
+  let pipeClosed = false;
+  const onOutputError = error => {
+    if (error.code !== 'EPIPE') throw error;
+    pipeClosed = true;
+    signal.stop();
+  };
+  process.stdout.on('error', onOutputError);
+
+  try {
+    while (!signal.stopped) {
+      const previousBlock = lastBlock;
+      try {
+        // from_block_id is treated as inclusive, so blocks already printed are skipped
+        const items = await fetchBlockPrices(target, { source, fromBlock: lastBlock !== null ? Math.max(lastBlock, 0) : null, count });
+        items
+          .filter(item => lastBlock === null || item.block.block_id > lastBlock)
+          .forEach(item => {
+            process.stdout.write(formatTick(item, target, source) + '\n');
+            lastBlock = item.block.block_id;
+          });
+
+        // A full page that moved the cursor may have more behind it, so fetch again straight away;
+        // otherwise wait, so a page that repeats never turns into a tight loop
+        if (items.length >= count && lastBlock !== previousBlock) continue;
+      } catch (error) {
+        console.error('Error fetching block prices:', error.message);
+      }
+      await signal.wait(intervalSeconds * 1000);
+    }
+  } finally {
+    signal.dispose();
+    if (!pipeClosed) process.stdout.removeListener('error', onOutputError);
+  }
+
+  console.error(`Stopped following ${target} at block ${lastBlock !== null ? lastBlock : '-'}.`);
+}
+
+// Show block prices for a contract (last trade or mark) or an index, optionally tailing new blocks.
+// options: mark, index, fromBlock, count, ndjson, follow, interval. Returns true on success.
+async function showTicks(target, options = {}) {
+  try {
+    if (options.mark && options.index) {
+      console.error('Use either --mark or --index, not both.');
+      return false;
+    }
+
+    const source = options.index ? 'index' : (options.mark ? 'mark' : 'trade');
+    const count = parseInt(options.count) || DEFAULT_TICK_COUNT;
+    let fromBlock = null;
+    if (options.fromBlock !== undefined) {
+      fromBlock = parseInt(options.fromBlock);
+      if (isNaN(fromBlock) || fromBlock < 0) {
+        console.error(`Invalid block ID "${options.fromBlock}".`);
+        return false;
+      }
+    }
+
+    const items = await fetchBlockPrices(target, { source, fromBlock, count });
+    const label = source === 'index' ? `${target} index` : `${target} ${source === 'mark' ? 'mark' : 'trade'}`;
+
+    // Followed output is always NDJSON so it can be piped into other tools
+    if (options.follow || options.ndjson) {
+      items.forEach(item => process.stdout.write(formatTick(item, target, source) + '\n'));
+      if (!options.follow) return true;
+
+      const interval = parseFloat(options.interval) > 0 ? parseFloat(options.interval) : 2;
+      const lastBlock = items.length > 0 ? items[items.length - 1].block.block_id : (fromBlock !== null ? fromBlock - 1 : null);
+      console.error(`Following ${label} prices every ${interval}s (Ctrl-C to stop)...`);
+      await followTicks(target, source, lastBlock, count, interval);
+      return true;
+    }
+
+    if (items.length === 0) {
+      console.log(`No block prices for ${label}.`);
+      return true;
+    }
+
+    console.log(`\n${label} prices per block:`);
+    displayTable(
+      ['Block', 'Time', 'Price', 'Change'],
+      items.map((item, i) => {
+        const change = i > 0 ? parseFloat(item.price) - parseFloat(items[i - 1].price) : NaN;
+        return [
+          item.block.block_id,
+          new Date(item.block.block_timestamp).toLocaleString(),
+          formatNumber(item.price),
+          isNaN(change) ? '-' : `${change >= 0 ? '+' : ''}${formatNumber(change)}`
+        ];
+      })
+    );
+    console.log(`\n${items.length} block(s), ${items[0].block.block_id} to ${items[items.length - 1].block.block_id}.`);
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching block prices:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  fetchBlockPrices,
+  showTicks
+};
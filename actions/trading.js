@@ -1,5 +1,142 @@
 // trading.js - Trading related actions
-const { apiRequest, formatNumber } = require('./utils');
+const { apiRequest, formatNumber, sleep } = require('./utils');
+const { displayOrders, displayPositions, fetchOpenOrders, fetchOpenPositions } = require('./account');
+const { getContractDetails } = require('./markets');
+const { parseQuantityInput, resolveQuantity, displayResolvedQuantity } = require('./sizing');
+const { checkLimitPrice, checkQuantity, checkNotional, validateOrder, reportValidation } = require('./validation');
+
+// Print the outcome of a signed trading request
+function displayTransactionResult(title, result, successMessage) {
+  console.log(`\n${title}:`);
+  console.log('-'.repeat(50));
+  console.log(JSON.stringify(result, null, 2));
+  
+  if (result) {
+    if (result.status === 'success' || result.transaction_hash) {
+      console.log(successMessage);
+      console.log(`Transaction Hash: ${result.transaction_hash || 'N/A'}`);
+      
+      if (result.events && result.events.length > 0) {
+        console.log('\nEvents:');
+        result.events.forEach((event, index) => {
+          console.log(`Event ${index+1}: ${JSON.stringify(event)}`);
+        });
+      }
+    } else {
+      console.log(`Status: ${result.status || 'error'}`);
+      if (result.message) console.log(`Message: ${result.message}`);
+      if (result.code) console.log(`Code: ${result.code}`);
+    }
+    
+    console.log('-'.repeat(50));
+  }
+}
+
+const TIME_IN_FORCE_OPTIONS = ['GTC', 'IOC', 'FOK', 'PO'];
+
+// Input validators shared by the interactive prompts and the flag-driven order command
+function isValidOrderSide(value) {
+  return typeof value === 'string' && ['buy', 'sell'].includes(value.toLowerCase());
+}
+
+function isValidOrderType(value) {
+  return value === 'market' || value === 'limit';
+}
+
+function isValidLimitPrice(value) {
+  return value !== undefined && value !== '' && !isNaN(value) && parseFloat(value) > 0;
+}
+
+function isValidTimeInForce(value) {
+  return TIME_IN_FORCE_OPTIONS.includes(value);
+}
+
+function isValidQuantitySteps(value) {
+  return value !== undefined && value !== '' && !isNaN(value) && parseInt(value) > 0;
+}
+
+// Parse a yes/no answer, returning null if it is neither
+function parseYesNo(value) {
+  const input = String(value).toLowerCase();
+  if (input === 'yes' || input === 'y') return true;
+  if (input === 'no' || input === 'n') return false;
+  return null;
+}
+
+// Build the estimate-order payload from validated inputs.
+// The size is either quantitySteps or a resolved quantity ({ field, value }) from sizing.js.
+function buildEstimatePayload(contractId, { orderSide, orderType, limitPrice, timeInForce, reduceOnly, quantitySteps, quantity }) {
+  const field = quantity ? quantity.field : 'quantity_steps';
+  const value = quantity ? quantity.value : quantitySteps;
+  
+  // Convert orderSide to signed quantity format (positive for buy, negative for sell)
+  const formattedQuantity = orderSide.toLowerCase() === 'buy' 
+    ? value 
+    : `-${value}`;
+  
+  return {
+    contract: contractId.toString(),
+    type: orderType,
+    limit_price: orderType === 'limit' ? limitPrice : '0',
+    time_in_force: timeInForce,
+    reduce_only: reduceOnly,
+    quantity_steps: field === 'quantity_steps' ? formattedQuantity : '',
+    quantity_contracts: field === 'quantity_contracts' ? formattedQuantity : '',
+    quantity_assets: field === 'quantity_assets' ? formattedQuantity : ''
+  };
+}
+
+// Send the estimate-order request and display the result
+async function requestOrderEstimate(estimatePayload, orderSide) {
+  console.log('\nEstimating order with parameters:');
+  console.log(JSON.stringify(estimatePayload, null, 2));
+  
+  // Make the estimation request
+  const estimationResult = await apiRequest('POST', '/v1/trading/estimate-order', estimatePayload);
+  
+  if (estimationResult) {
+    console.log('\nOrder Estimation Result:');
+    console.log('-'.repeat(50));
+    
+    if (estimationResult.error) {
+      console.log(`Error: ${estimationResult.error}`);
+      return null;
+    }
+    
+    console.log(`Order Type:                 ${orderSide.toUpperCase()} ${estimatePayload.type}`);
+    console.log(`Trading Fee:                ${formatNumber(estimationResult.trading_fee)}`);
+    console.log(`Operational Fee:            ${formatNumber(estimationResult.operational_fee)}`);
+    console.log(`Realized Profit:            ${formatNumber(estimationResult.realized_profit)}`);
+    console.log(`Taker Amount (Base):        ${formatNumber(estimationResult.taker_base_amount)}`);
+    console.log(`Taker Amount (Tokens):      ${formatNumber(estimationResult.taker_tokens_amount)}`);
+    console.log(`Current Equity:             ${formatNumber(estimationResult.current_equity)}`);
+    console.log(`New Equity:                 ${formatNumber(estimationResult.new_equity)}`);
+    console.log(`Current Leverage:           ${formatNumber(estimationResult.current_leverage)}`);
+    console.log(`New Leverage:               ${formatNumber(estimationResult.new_leverage)}`);
+    console.log(`Est. Liquidation Price:     ${formatNumber(estimationResult.estimated_liquidation_price)}`);
+    console.log('-'.repeat(50));
+    
+    // Return the result with parameters
+    return {
+      estimationResult,
+      orderParams: {
+        customer_order_id: `cli-${Date.now()}`,
+        contract: estimatePayload.contract,
+        type: estimatePayload.type,
+        limit_price: estimatePayload.limit_price,
+        time_in_force: estimatePayload.time_in_force,
+        reduce_only: estimatePayload.reduce_only,
+        quantity_steps: estimatePayload.quantity_steps,
+        quantity_contracts: estimatePayload.quantity_contracts,
+        quantity_assets: estimatePayload.quantity_assets,
+        timestamp: Date.now(),
+        recv_window: 30000
+      }
+    };
+  }
+  
+  return null;
+}
 
 // 5 & 6. Input Parameters and Get order estimate
 async function estimateOrder(contract, question) {
@@ -11,7 +148,7 @@ async function estimateOrder(contract, question) {
     let orderSide;
     while (true) {
       orderSide = await question('Order side (buy/sell): ');
-      if (orderSide.toLowerCase() === 'buy' || orderSide.toLowerCase() === 'sell') break;
+      if (isValidOrderSide(orderSide)) break;
       console.log('Invalid order side. Please enter "buy" or "sell".');
     }
     
@@ -19,17 +156,24 @@ async function estimateOrder(contract, question) {
     let orderType;
     while (true) {
       orderType = await question('Order type (market/limit): ');
-      if (orderType === 'market' || orderType === 'limit') break;
+      if (isValidOrderType(orderType)) break;
       console.log('Invalid order type. Please enter "market" or "limit".');
     }
     
-    // Get price for limit orders
+    // Get price for limit orders, snapped to the contract's price tick
     let limitPrice = '0';
     if (orderType === 'limit') {
       while (true) {
-        limitPrice = await question('Limit price: ');
-        if (!isNaN(limitPrice) && parseFloat(limitPrice) > 0) break;
-        console.log('Invalid price. Please enter a positive number.');
+        const input = await question(`Limit price (tick ${contract.price_tick}): `);
+        if (!isValidLimitPrice(input)) {
+          console.log('Invalid price. Please enter a positive number.');
+          continue;
+        }
+        const priceCheck = checkLimitPrice(contract, orderSide, input);
+        if (reportValidation(priceCheck)) {
+          limitPrice = priceCheck.price;
+          break;
+        }
       }
     }
     
@@ -38,185 +182,716 @@ async function estimateOrder(contract, question) {
     while (true) {
       const tifInfo = 'GTC (Good Till Cancel), IOC (Immediate or Cancel), FOK (Fill or Kill), PO (Post Only)';
       timeInForce = await question(`Time in force (${tifInfo}): `);
-      if (['GTC', 'IOC', 'FOK', 'PO'].includes(timeInForce)) break;
+      if (isValidTimeInForce(timeInForce)) break;
       console.log('Invalid time in force. Please use one of the valid options.');
     }
     
     // Get reduce only flag
     let reduceOnly;
     while (true) {
-      const input = await question('Reduce only (yes/no): ');
-      if (input.toLowerCase() === 'yes' || input.toLowerCase() === 'y') {
-        reduceOnly = true;
-        break;
-      } else if (input.toLowerCase() === 'no' || input.toLowerCase() === 'n') {
-        reduceOnly = false;
-        break;
-      }
+      reduceOnly = parseYesNo(await question('Reduce only (yes/no): '));
+      if (reduceOnly !== null) break;
       console.log('Invalid input. Please enter "yes" or "no".');
     }
     
-    // Get quantity
-    let quantitySteps;
+    // Get quantity in steps (default), contracts, assets or USD notional, rounded to the step size
+    let quantity;
     while (true) {
-      quantitySteps = await question('Quantity (in steps): ');
-      if (!isNaN(quantitySteps) && parseInt(quantitySteps) > 0) break;
-      console.log('Invalid quantity. Please enter a positive integer.');
+      const input = await question('Quantity (e.g. 10 steps, 0.5 contracts, 0.01 assets, $500) [steps]: ');
+      const resolved = resolveQuantity(input, contract, 'steps');
+      if (resolved.error) {
+        console.log(resolved.error);
+        continue;
+      }
+      const quantityCheck = checkQuantity(contract, resolved);
+      if (reportValidation(quantityCheck)) {
+        quantity = quantityCheck.quantity;
+        break;
+      }
     }
+    displayResolvedQuantity(quantity);
     
-    // Convert orderSide to quantity_steps format (positive for buy, negative for sell)
-    const formattedQuantitySteps = orderSide.toLowerCase() === 'buy' 
-      ? quantitySteps 
-      : `-${quantitySteps}`;
+    const notionalCheck = checkNotional(contract, quantity, orderType === 'limit' ? limitPrice : null);
+    if (!reportValidation({ warnings: [], errors: notionalCheck.errors })) return null;
     
-    // Create estimation payload
-    const estimatePayload = {
-      contract: contract.contract_id.toString(),
-      type: orderType,
-      limit_price: limitPrice,
-      time_in_force: timeInForce,
-      reduce_only: reduceOnly,
-      quantity_steps: formattedQuantitySteps,
-      quantity_contracts: '',
-      quantity_assets: ''
-    };
+    const estimatePayload = buildEstimatePayload(contract.contract_id, {
+      orderSide, orderType, limitPrice, timeInForce, reduceOnly, quantity
+    });
+    
+    return await requestOrderEstimate(estimatePayload, orderSide);
+  } catch (error) {
+    console.error('Error estimating order:', error.message);
+    return null;
+  }
+}
+
+// Determine the order side from the signed quantity field
+function getOrderSide(orderParams) {
+  if (orderParams.quantity_steps) {
+    return parseInt(orderParams.quantity_steps) > 0 ? 'BUY' : 'SELL';
+  } else if (orderParams.quantity_contracts) {
+    return parseFloat(orderParams.quantity_contracts) > 0 ? 'BUY' : 'SELL';
+  }
+  return parseFloat(orderParams.quantity_assets) > 0 ? 'BUY' : 'SELL';
+}
+
+// Check whether a signed trading request was accepted
+function isTransactionSuccessful(result) {
+  return Boolean(result && (result.status === 'success' || result.transaction_hash));
+}
+
+// Sign and submit an estimated order without asking for confirmation
+async function submitOrder(orderData) {
+  const orderSide = getOrderSide(orderData.orderParams);
+  console.log(`\nSubmitting ${orderSide} order...`);
+  
+  // Create order parameters
+  const orderParams = {
+    customer_order_id: orderData.orderParams.customer_order_id || `cli-${Date.now()}`,
+    contract: orderData.orderParams.contract,
+    type: orderData.orderParams.type,
+    limit_price: orderData.orderParams.limit_price,
+    time_in_force: orderData.orderParams.time_in_force,
+    reduce_only: orderData.orderParams.reduce_only,
+    timestamp: Date.now(),
+    recv_window: 30000
+  };
+  
+  // Only include the quantity field that has a value
+  if (orderData.orderParams.quantity_steps) {
+    orderParams.quantity_steps = orderData.orderParams.quantity_steps;
+  } else if (orderData.orderParams.quantity_contracts) {
+    orderParams.quantity_contracts = orderData.orderParams.quantity_contracts;
+  } else if (orderData.orderParams.quantity_assets) {
+    orderParams.quantity_assets = orderData.orderParams.quantity_assets;
+  }
+  
+  // Submit the order - ensure we use the exact same structure as the working example
+  // First create the message to sign and ensure it's properly formatted
+  const messageToSign = JSON.stringify(orderParams);
+  console.log('Message to sign:', messageToSign);
+  
+  const result = await apiRequest('POST', '/v1/trading/order', orderParams, true);
+  
+  displayTransactionResult('Order Submission Result', result, `${orderSide} order successfully submitted!`);
+  return result;
+}
+
+// 7. Confirm submitting of order (and optionally offer to wait for it)
+async function placeOrder(orderData, question, offerWait = true) {
+  try {
+    if (!orderData || !orderData.orderParams) {
+      console.log('No order parameters available.');
+      return null;
+    }
+    
+    const confirm = await question('\nDo you want to submit this order? (yes/no): ');
+    if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+      console.log('Order cancelled by user.');
+      return null;
+    }
     
-    console.log('\nEstimating order with parameters:');
-    console.log(JSON.stringify(estimatePayload, null, 2));
+    const result = await submitOrder(orderData);
     
-    // Make the estimation request
-    const estimationResult = await apiRequest('POST', '/v1/trading/estimate-order', estimatePayload);
+    // Offer to follow the order using the customer_order_id it was submitted with
+    if (offerWait && isTransactionSuccessful(result)) {
+      const follow = await question('\nDo you want to wait until the order is filled or cancelled? (yes/no): ');
+      if (follow.toLowerCase() === 'yes' || follow.toLowerCase() === 'y') {
+        await showOrderStatus(orderData.orderParams.customer_order_id, { wait: true });
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error placing order:', error.message);
+    return null;
+  }
+}
+
+// Non-interactive order entry driven by command-line flags.
+// onSubmitted(orderData, result) is called as soon as the order is accepted, before any --wait.
+// Returns { orderData, result } if the order was estimated (and submitted, unless estimateOnly)
+// successfully, or null otherwise.
+async function placeOrderFromOptions(options, question, onSubmitted = null) {
+  try {
+    const orderType = options.type || 'market';
+    const timeInForce = options.tif || 'GTC';
+    const errors = [];
+    
+    if (!options.contract) errors.push('Missing --contract.');
+    if (!isValidOrderSide(options.side)) errors.push('Invalid order side. Please use --side buy or --side sell.');
+    if (!isValidOrderType(orderType)) errors.push('Invalid order type. Please use --type market or --type limit.');
+    if (orderType === 'limit' && !isValidLimitPrice(options.price)) errors.push('Invalid price. Please provide a positive --price for limit orders.');
+    if (!isValidTimeInForce(timeInForce)) errors.push(`Invalid time in force. Please use one of: ${TIME_IN_FORCE_OPTIONS.join(', ')}.`);
+    if (!parseQuantityInput(options.qty, 'steps')) errors.push('Invalid quantity. Please provide a positive --qty (e.g. 10, "0.5 contracts", "0.01 assets" or "$500").');
+    
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(error));
+      return null;
+    }
+    
+    const contract = await getContractDetails(options.contract, true);
+    if (!contract) {
+      console.log(`Contract ${options.contract} not found.`);
+      return null;
+    }
+    
+    const resolved = resolveQuantity(options.qty, contract, 'steps');
+    if (resolved.error) {
+      console.log(resolved.error);
+      return null;
+    }
+    
+    // Snap the price and size to the contract's increments and reject out-of-bounds orders
+    const validation = validateOrder(contract, {
+      orderSide: options.side,
+      orderType,
+      limitPrice: options.price,
+      quantity: resolved
+    });
+    if (!reportValidation(validation)) return null;
+    const { quantity } = validation;
+    displayResolvedQuantity(quantity);
+    
+    const estimatePayload = buildEstimatePayload(contract.contract_id, {
+      orderSide: options.side,
+      orderType,
+      limitPrice: validation.limitPrice,
+      timeInForce,
+      reduceOnly: Boolean(options.reduceOnly),
+      quantity
+    });
+    
+    const orderData = await requestOrderEstimate(estimatePayload, options.side);
+    if (!orderData) {
+      console.log('Order estimation failed.');
+      return null;
+    }
+    
+    if (options.estimateOnly) return { orderData, result: null };
+    
+    const result = options.yes
+      ? await submitOrder(orderData)
+      : await placeOrder(orderData, question, !options.wait);
+    
+    if (!isTransactionSuccessful(result)) return null;
+    if (onSubmitted) onSubmitted(orderData, result);
+    
+    if (options.wait) {
+      const state = await showOrderStatus(orderData.orderParams.customer_order_id, { wait: true, timeout: options.timeout });
+      if (state === 'rejected' || !TERMINAL_ORDER_STATES.includes(state)) return null;
+    }
+    
+    return { orderData, result };
+  } catch (error) {
+    console.error('Error placing order:', error.message);
+    return null;
+  }
+}
+
+// Fetch a single order (open or closed) by order id or customer_order_id
+async function fetchOrder(id) {
+  const result = await apiRequest('GET', `/v1/portfolio/orders/${encodeURIComponent(id)}`);
+  return (result && result.details) || null;
+}
+
+// Derive the lifecycle state of an order from its quantities:
+// open, partially_filled (still open), filled, cancelled or partially_cancelled (closed after a partial fill)
+function getOrderState(order) {
+  const opened = parseFloat(order.opened_quantity_contracts) || 0;
+  const filled = parseFloat(order.filled_quantity_contracts) || 0;
+  
+  if (opened > 0) return filled > 0 ? 'partially_filled' : 'open';
+  if (filled === 0) return 'cancelled';
+  return filled < (parseFloat(order.ordered_quantity_contracts) || 0) ? 'partially_cancelled' : 'filled';
+}
+
+const TERMINAL_ORDER_STATES = ['filled', 'cancelled', 'partially_cancelled', 'rejected'];
+
+// Fetch the fill events of an order and compute the volume-weighted average fill price
+async function fetchAverageFillPrice(orderId) {
+  const result = await apiRequest('GET', `/v1/portfolio/history/orders?order=${encodeURIComponent(orderId)}&event_types=order_filled`);
+  const fills = (result && result.events) || [];
+  
+  let quantity = 0;
+  let notional = 0;
+  fills.forEach(fill => {
+    const fillQuantity = Math.abs(parseFloat(fill.quantity_contracts)) || 0;
+    quantity += fillQuantity;
+    notional += fillQuantity * (parseFloat(fill.executed_price) || 0);
+  });
+  
+  return quantity > 0 ? notional / quantity : null;
+}
+
+// Find the rejection reason of an order that never made it to the book, if any
+async function fetchRejectReason(id) {
+  const result = await apiRequest('GET', `/v1/portfolio/history/orders?order=${encodeURIComponent(id)}&event_types=order_rejected`);
+  const events = (result && result.events) || [];
+  return events.length > 0 ? (events[0].reject_reason || 'unknown reason') : null;
+}
+
+// Look up an order and summarise its state, fills and average price
+async function getOrderStatus(id) {
+  let order = null;
+  try {
+    order = await fetchOrder(id);
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) throw error;
+  }
+  
+  if (!order) {
+    const rejectReason = await fetchRejectReason(id);
+    return rejectReason ? { state: 'rejected', rejectReason } : null;
+  }
+  
+  const filled = parseFloat(order.filled_quantity_contracts) || 0;
+  return {
+    order,
+    state: getOrderState(order),
+    filled,
+    remaining: parseFloat(order.opened_quantity_contracts) || 0,
+    averagePrice: filled > 0 ? await fetchAverageFillPrice(order.order_id) : null
+  };
+}
+
+// Print an order status summary
+function displayOrderStatus(id, status) {
+  console.log(`\nOrder Status (${id}):`);
+  console.log('-'.repeat(50));
+  console.log(`Status:                     ${status.state.toUpperCase()}`);
+  
+  if (status.rejectReason) {
+    console.log(`Reject Reason:              ${status.rejectReason}`);
+  }
+  
+  if (status.order) {
+    const order = status.order;
+    console.log(`Order ID:                   ${order.order_id}`);
+    console.log(`Customer Order ID:          ${order.customer_order_id}`);
+    console.log(`Contract:                   ${order.contract_info ? order.contract_info.symbol : order.contract_id}`);
+    console.log(`Side / Type:                ${String(order.side).toUpperCase()} ${order.order_type}`);
+    if (order.order_type === 'limit') {
+      console.log(`Limit Price:                ${formatNumber(order.limit_price)}`);
+    }
+    console.log(`Ordered (Contracts):        ${formatNumber(order.ordered_quantity_contracts)}`);
+    console.log(`Filled (Contracts):         ${formatNumber(status.filled)}`);
+    console.log(`Remaining (Contracts):      ${formatNumber(status.remaining)}`);
+    console.log(`Average Fill Price:         ${status.averagePrice !== null ? formatNumber(status.averagePrice) : 'N/A'}`);
+    console.log(`Updated At:                 ${new Date(order.updated_at).toLocaleString()}`);
+  }
+  
+  console.log('-'.repeat(50));
+}
+
+// Show an order's status, optionally polling until it reaches a terminal state.
+// Returns the last known state, or null if the order could not be found.
+async function showOrderStatus(id, options = {}) {
+  try {
+    const timeoutMs = (parseFloat(options.timeout) || 60) * 1000;
+    const intervalMs = (parseFloat(options.interval) || 2) * 1000;
+    const deadline = Date.now() + timeoutMs;
+    let lastState = null;
+    
+    if (options.wait) {
+      console.log(`\nWaiting for order ${id} to be filled, cancelled or rejected (timeout ${timeoutMs / 1000}s)...`);
+    }
     
-    if (estimationResult) {
-      console.log('\nOrder Estimation Result:');
-      console.log('-'.repeat(50));
+    while (true) {
+      const status = await getOrderStatus(id);
       
-      if (estimationResult.error) {
-        console.log(`Error: ${estimationResult.error}`);
+      if (status && status.state !== lastState) {
+        displayOrderStatus(id, status);
+        lastState = status.state;
+      } else if (!status && !options.wait) {
+        console.log(`No order found with ID or customer order ID "${id}".`);
         return null;
       }
       
-      console.log(`Order Type:                 ${orderSide.toUpperCase()} ${orderType}`);
-      console.log(`Trading Fee:                ${formatNumber(estimationResult.trading_fee)}`);
-      console.log(`Operational Fee:            ${formatNumber(estimationResult.operational_fee)}`);
-      console.log(`Realized Profit:            ${formatNumber(estimationResult.realized_profit)}`);
-      console.log(`Taker Amount (Base):        ${formatNumber(estimationResult.taker_base_amount)}`);
-      console.log(`Taker Amount (Tokens):      ${formatNumber(estimationResult.taker_tokens_amount)}`);
-      console.log(`Current Equity:             ${formatNumber(estimationResult.current_equity)}`);
-      console.log(`New Equity:                 ${formatNumber(estimationResult.new_equity)}`);
-      console.log(`Current Leverage:           ${formatNumber(estimationResult.current_leverage)}`);
-      console.log(`New Leverage:               ${formatNumber(estimationResult.new_leverage)}`);
-      console.log(`Est. Liquidation Price:     ${formatNumber(estimationResult.estimated_liquidation_price)}`);
-      console.log('-'.repeat(50));
+      if (!options.wait || (status && TERMINAL_ORDER_STATES.includes(status.state))) {
+        return lastState;
+      }
       
-      // Return the result with parameters
-      return {
-        estimationResult,
-        orderParams: {
-          customer_order_id: `cli-${Date.now()}`,
-          contract: estimatePayload.contract,
-          type: estimatePayload.type,
-          limit_price: estimatePayload.limit_price,
-          time_in_force: estimatePayload.time_in_force,
-          reduce_only: estimatePayload.reduce_only,
-          quantity_steps: estimatePayload.quantity_steps,
-          quantity_contracts: '',
-          quantity_assets: '',
-          timestamp: Date.now(),
-          recv_window: 30000
-        }
-      };
+      if (Date.now() >= deadline) {
+        console.log(`Timed out after ${timeoutMs / 1000}s. Last known status: ${lastState ? lastState.toUpperCase() : 'NOT FOUND'}.`);
+        return lastState;
+      }
+      
+      await sleep(intervalMs);
     }
-    
-    return null;
   } catch (error) {
-    console.error('Error estimating order:', error.message);
+    console.error('Error fetching order status:', error.message);
     return null;
   }
 }
 
-// 7. Confirm submitting of order
-async function placeOrder(orderData, question) {
+// Find an open order by order id or customer_order_id
+async function findOpenOrder(id) {
+  const orders = await fetchOpenOrders();
+  return orders.find(o =>
+    String(o.order_id) === String(id) || o.customer_order_id === id
+  );
+}
+
+// Sign and submit a cancel-order request without asking for confirmation
+async function submitCancelOrder(id) {
+  const cancelParams = {
+    id: String(id),
+    timestamp: Date.now(),
+    recv_window: 30000
+  };
+  
+  return apiRequest('POST', '/v1/trading/cancel-order', cancelParams, true);
+}
+
+// Cancel a single order by order id or customer_order_id
+async function cancelOrder(id, question) {
   try {
-    if (!orderData || !orderData.orderParams) {
-      console.log('No order parameters available.');
+    console.log(`\nLooking up order ${id}...`);
+    const order = await findOpenOrder(id);
+    
+    if (!order) {
+      console.log(`No open order found with ID or customer order ID "${id}".`);
       return;
     }
     
-    const confirm = await question('\nDo you want to submit this order? (yes/no): ');
+    console.log('\nOrder to cancel:');
+    displayOrders([order]);
+    
+    const confirm = await question('\nDo you want to cancel this order? (yes/no): ');
     if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
-      console.log('Order cancelled by user.');
+      console.log('Cancellation aborted by user.');
       return;
     }
     
-    // Determine the order side for display
-    let orderSide;
-    if (orderData.orderParams.quantity_steps) {
-      orderSide = parseInt(orderData.orderParams.quantity_steps) > 0 ? 'BUY' : 'SELL';
-    } else if (orderData.orderParams.quantity_contracts) {
-      orderSide = parseFloat(orderData.orderParams.quantity_contracts) > 0 ? 'BUY' : 'SELL';
-    } else {
-      orderSide = parseFloat(orderData.orderParams.quantity_assets) > 0 ? 'BUY' : 'SELL';
-    }
-    console.log(`\nSubmitting ${orderSide} order...`);
-    
-    // Create order parameters
-    const orderParams = {
-      customer_order_id: `cli-${Date.now()}`,
-      contract: orderData.orderParams.contract,
-      type: orderData.orderParams.type,
-      limit_price: orderData.orderParams.limit_price,
-      time_in_force: orderData.orderParams.time_in_force,
-      reduce_only: orderData.orderParams.reduce_only,
-      timestamp: Date.now(),
-      recv_window: 30000
-    };
+    const result = await submitCancelOrder(order.order_id);
+    displayTransactionResult('Cancel Order Result', result, `Order ${order.order_id} successfully cancelled!`);
+  } catch (error) {
+    console.error('Error cancelling order:', error.message);
+  }
+}
+
+// Cancel all open orders, or only those on one contract
+async function cancelAllOrders(contract, question) {
+  try {
+    console.log(contract ? `\nFetching open orders for contract ${contract}...` : '\nFetching open orders...');
+    const orders = await fetchOpenOrders(contract);
     
-    // Only include the quantity field that has a value
-    if (orderData.orderParams.quantity_steps) {
-      orderParams.quantity_steps = orderData.orderParams.quantity_steps;
-    } else if (orderData.orderParams.quantity_contracts) {
-      orderParams.quantity_contracts = orderData.orderParams.quantity_contracts;
-    } else if (orderData.orderParams.quantity_assets) {
-      orderParams.quantity_assets = orderData.orderParams.quantity_assets;
+    if (orders.length === 0) {
+      console.log('No open orders to cancel.');
+      return;
     }
     
-    // Submit the order - ensure we use the exact same structure as the working example
-    // First create the message to sign and ensure it's properly formatted
-    const messageToSign = JSON.stringify(orderParams);
-    console.log('Message to sign:', messageToSign);
+    console.log('\nOrders to cancel:');
+    displayOrders(orders);
     
-    const result = await apiRequest('POST', '/v1/trading/order', orderParams, true);
+    const confirm = await question(`\nDo you want to cancel these ${orders.length} order(s)? (yes/no): `);
+    if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+      console.log('Cancellation aborted by user.');
+      return;
+    }
     
-    console.log('\nOrder Submission Result:');
-    console.log('-'.repeat(50));
-    console.log(JSON.stringify(result, null, 2));
-    
-    if (result) {
-      if (result.status === 'success' || result.transaction_hash) {
-        console.log(`${orderSide} order successfully submitted!`);
-        console.log(`Transaction Hash: ${result.transaction_hash || 'N/A'}`);
-        
-        if (result.events && result.events.length > 0) {
-          console.log('\nEvents:');
-          result.events.forEach((event, index) => {
-            console.log(`Event ${index+1}: ${JSON.stringify(event)}`);
-          });
+    if (!contract) {
+      const cancelParams = {
+        timestamp: Date.now(),
+        recv_window: 30000
+      };
+      
+      const result = await apiRequest('POST', '/v1/trading/cancel-all-orders', cancelParams, true);
+      displayTransactionResult('Cancel All Orders Result', result, 'All orders successfully cancelled!');
+      return;
+    }
+    
+    // The cancel-all endpoint has no contract filter, so cancel the orders one by one
+    for (const order of orders) {
+      try {
+        const result = await submitCancelOrder(order.order_id);
+        displayTransactionResult(`Cancel Order ${order.order_id} Result`, result, `Order ${order.order_id} successfully cancelled!`);
+      } catch (error) {
+        console.error(`Error cancelling order ${order.order_id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error cancelling orders:', error.message);
+  }
+}
+
+// Emergency kill switch: cancel open orders and close positions, then verify the portfolio is flat.
+// Returns true if nothing is left open afterwards.
+async function flattenPortfolio(options, question) {
+  try {
+    const contract = options.contract;
+    console.log(contract ? `\nFetching positions and open orders for ${contract}...` : '\nFetching positions and open orders...');
+    
+    const [positions, orders] = await Promise.all([
+      fetchOpenPositions(contract),
+      fetchOpenOrders(contract)
+    ]);
+    
+    if (positions.length === 0 && orders.length === 0) {
+      console.log('Nothing to close. Portfolio is already flat.');
+      return true;
+    }
+    
+    if (positions.length > 0) {
+      console.log('\nPositions to close:');
+      displayPositions(positions);
+    }
+    
+    if (orders.length > 0) {
+      console.log('\nOrders to cancel:');
+      displayOrders(orders);
+    }
+    
+    if (!options.force) {
+      const confirm = await question('\nType FLATTEN to close everything listed above: ');
+      if (confirm.trim() !== 'FLATTEN') {
+        console.log('Flatten aborted by user.');
+        return false;
+      }
+    }
+    
+    if (!contract) {
+      const params = {
+        timestamp: Date.now(),
+        recv_window: 30000
+      };
+      
+      const result = await apiRequest('POST', '/v1/trading/close-all-orders-and-positions', params, true);
+      displayTransactionResult('Close All Orders and Positions Result', result, 'Close-all request successfully submitted!');
+    } else {
+      // No per-contract close-all endpoint: cancel the orders, then close positions with reduce-only IOC market
+      // orders, so any unfilled remainder is cancelled rather than left resting and the check below sees what executed
+      for (const order of orders) {
+        try {
+          const result = await submitCancelOrder(order.order_id);
+          displayTransactionResult(`Cancel Order ${order.order_id} Result`, result, `Order ${order.order_id} successfully cancelled!`);
+        } catch (error) {
+          console.error(`Error cancelling order ${order.order_id}:`, error.message);
         }
-      } else {
-        console.log(`Status: ${result.status || 'error'}`);
-        if (result.message) console.log(`Message: ${result.message}`);
-        if (result.code) console.log(`Code: ${result.code}`);
       }
       
-      console.log('-'.repeat(50));
+      for (const pos of positions) {
+        try {
+          const sizeSteps = String(pos.size_steps);
+          const orderParams = {
+            customer_order_id: `cli-flatten-${Date.now()}`,
+            contract: String(pos.contract_id || pos.contract),
+            type: 'market',
+            limit_price: '0',
+            time_in_force: 'IOC',
+            reduce_only: true,
+            quantity_steps: sizeSteps.startsWith('-') ? sizeSteps.slice(1) : `-${sizeSteps}`
+          };
+          await submitOrder({ orderParams });
+        } catch (error) {
+          console.error(`Error closing position on ${pos.contract}:`, error.message);
+        }
+      }
+    }
+    
+    // Give the exchange a moment to process before verifying
+    console.log('\nVerifying portfolio...');
+    await sleep(2000);
+    
+    const [remainingPositions, remainingOrders] = await Promise.all([
+      fetchOpenPositions(contract),
+      fetchOpenOrders(contract)
+    ]);
+    
+    if (remainingPositions.length === 0 && remainingOrders.length === 0) {
+      console.log(contract ? `Flat: no positions or open orders left on ${contract}.` : 'Flat: no positions or open orders left.');
+      return true;
     }
+    
+    console.log('Warning: the portfolio is NOT flat.');
+    if (remainingPositions.length > 0) {
+      console.log('\nRemaining Positions:');
+      displayPositions(remainingPositions);
+    }
+    if (remainingOrders.length > 0) {
+      console.log('\nRemaining Orders:');
+      displayOrders(remainingOrders);
+    }
+    return false;
   } catch (error) {
-    console.error('Error placing order:', error.message);
+    console.error('Error flattening portfolio:', error.message);
+    return false;
+  }
+}
+
+// Amend a resting limit order's price and/or quantity (in contracts)
+async function amendOrder(id, changes, question) {
+  try {
+    console.log(`\nLooking up order ${id}...`);
+    const order = await findOpenOrder(id);
+    
+    if (!order) {
+      console.log(`No open order found with ID or customer order ID "${id}".`);
+      return;
+    }
+    
+    if (order.order_type !== 'limit') {
+      console.log('Only resting limit orders can be amended.');
+      return;
+    }
+    
+    if (changes.price === undefined && changes.quantity === undefined) {
+      console.log('Nothing to amend. Please provide a new price and/or quantity.');
+      return;
+    }
+    
+    if (changes.price !== undefined && (isNaN(changes.price) || parseFloat(changes.price) <= 0)) {
+      console.log('Invalid price. Please enter a positive number.');
+      return;
+    }
+    
+    if (changes.quantity !== undefined && !parseQuantityInput(changes.quantity, 'steps')) {
+      console.log('Invalid quantity. Please enter a positive quantity (e.g. 10, "0.5 contracts", "0.01 assets" or "$500").');
+      return;
+    }
+    
+    console.log('\nOrder to amend:');
+    displayOrders([order]);
+    
+    const currentPrice = order.limit_price;
+    const currentQuantity = order.opened_quantity_contracts;
+    
+    // Snap the new price and size to the contract's increments before estimating
+    const contract = await getContractDetails(order.contract_id, true);
+    if (!contract) {
+      console.log(`Contract ${order.contract_id} not found.`);
+      return;
+    }
+    
+    const validation = validateOrder(contract, {
+      orderSide: order.side,
+      orderType: 'limit',
+      limitPrice: changes.price !== undefined ? String(changes.price) : currentPrice,
+      // A bare number is steps, as in every other order path; the current size is in contracts
+      quantity: resolveQuantity(changes.quantity !== undefined ? String(changes.quantity) : `${currentQuantity} contracts`, contract, 'steps')
+    });
+    if (!reportValidation(validation)) return;
+    
+    const newPrice = validation.limitPrice;
+    const newQuantity = String(parseFloat(validation.quantity.contracts.toPrecision(12)));
+    
+    // A pure size decrease keeps queue priority via reduce-order, anything else needs replace-order
+    const priceChanged = parseFloat(newPrice) !== parseFloat(currentPrice);
+    const isReduce = !priceChanged && parseFloat(newQuantity) < parseFloat(currentQuantity);
+    
+    if (!priceChanged && parseFloat(newQuantity) === parseFloat(currentQuantity)) {
+      console.log('New price and quantity match the current order. Nothing to amend.');
+      return;
+    }
+    
+    const signedQuantity = order.side === 'sell' ? `-${newQuantity}` : newQuantity;
+    
+    // The API can only estimate a new order. The resting order is still counted against the account,
+    // so the estimate is shown as that of a fresh order rather than as the state after the amendment.
+    const estimatePayload = {
+      contract: order.contract_id.toString(),
+      type: 'limit',
+      limit_price: newPrice,
+      time_in_force: order.time_in_force,
+      reduce_only: order.reduce_only,
+      quantity_steps: '',
+      quantity_contracts: signedQuantity,
+      quantity_assets: ''
+    };
+    
+    console.log('\nEstimating amended order...');
+    const estimationResult = await apiRequest('POST', '/v1/trading/estimate-order', estimatePayload);
+    
+    if (!estimationResult) {
+      console.log('Order estimation failed.');
+      return;
+    }
+    
+    if (estimationResult.error) {
+      console.log(`Error: ${estimationResult.error}`);
+      return;
+    }
+    
+    console.log('\nAmendment Comparison (before -> after):');
+    console.log('-'.repeat(50));
+    console.log(`Action:                     ${isReduce ? 'REDUCE' : 'REPLACE'} ${order.side.toUpperCase()} ${order.contract_info.symbol}`);
+    console.log(`Limit Price:                ${formatNumber(currentPrice)} -> ${formatNumber(newPrice)}`);
+    console.log(`Quantity (Contracts):       ${formatNumber(currentQuantity)} -> ${formatNumber(newQuantity)}`);
+    console.log('-'.repeat(50));
+    console.log('Estimate for a fresh order at the new price and size');
+    console.log('(the resting order is not netted out, so equity and leverage overstate the change):');
+    console.log(`Equity:                     ${formatNumber(estimationResult.current_equity)} -> ${formatNumber(estimationResult.new_equity)}`);
+    console.log(`Leverage:                   ${formatNumber(estimationResult.current_leverage)} -> ${formatNumber(estimationResult.new_leverage)}`);
+    console.log(`Trading Fee:                ${formatNumber(estimationResult.trading_fee)}`);
+    console.log(`Operational Fee:            ${formatNumber(estimationResult.operational_fee)}`);
+    console.log(`Est. Liquidation Price:     ${formatNumber(estimationResult.estimated_liquidation_price)}`);
+    console.log('-'.repeat(50));
+    
+    const confirm = await question('\nDo you want to submit this amendment? (yes/no): ');
+    if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+      console.log('Amendment cancelled by user.');
+      return;
+    }
+    
+    let result;
+    if (isReduce) {
+      // reduce-order takes the amount to remove from the resting order
+      const reduceBy = parseFloat(currentQuantity) - parseFloat(newQuantity);
+      const reduceParams = {
+        id: String(order.order_id),
+        quantity_contracts: String(parseFloat(reduceBy.toPrecision(12))),
+        timestamp: Date.now(),
+        recv_window: 30000
+      };
+      
+      result = await apiRequest('POST', '/v1/trading/reduce-order', reduceParams, true);
+    } else {
+      // ReplaceOrderRequest takes the size as quantity_*_change; like batch replace, send the new signed size in steps
+      const newSteps = String(Math.round(validation.quantity.steps));
+      const replaceParams = {
+        id: String(order.order_id),
+        customer_order_id: order.customer_order_id,
+        type: 'limit',
+        limit_price: newPrice,
+        quantity_steps_change: order.side === 'sell' ? `-${newSteps}` : newSteps,
+        timestamp: Date.now(),
+        recv_window: 30000
+      };
+      
+      result = await apiRequest('POST', '/v1/trading/replace-order', replaceParams, true);
+    }
+    
+    displayTransactionResult('Amend Order Result', result, `Order ${order.order_id} successfully amended!`);
+  } catch (error) {
+    console.error('Error amending order:', error.message);
   }
 }
 
 module.exports = {
+  TIME_IN_FORCE_OPTIONS,
+  isValidOrderSide,
+  isValidOrderType,
+  isValidLimitPrice,
+  isValidTimeInForce,
+  isValidQuantitySteps,
+  parseYesNo,
+  buildEstimatePayload,
+  displayTransactionResult,
   estimateOrder,
-  placeOrder
+  placeOrder,
+  submitOrder,
+  getOrderSide,
+  isTransactionSuccessful,
+  fetchOrder,
+  getOrderState,
+  TERMINAL_ORDER_STATES,
+  getOrderStatus,
+  showOrderStatus,
+  placeOrderFromOptions,
+  submitCancelOrder,
+  cancelOrder,
+  cancelAllOrders,
+  amendOrder,
+  flattenPortfolio
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
 const crypto = require('crypto');
 const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
 const { getConfig } = require('./config');
 
 /**
@@ -128,6 +129,12 @@ function formatNumber(num) {
   });
 }
 
+// Format a percentage with sign, or N/A
+function formatPercent(value) {
+  if (value === null || isNaN(value)) return 'N/A';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
 // Display table helper
 function displayTable(headers, data) {
   // Calculate column widths
@@ -155,11 +162,170 @@ function displayTable(headers, data) {
   });
 }
 
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Stop signal for polling loops: Ctrl-C (or stop()) sets `stopped` and cuts short the current wait.
+// Call dispose() when the loop ends to remove the SIGINT handler.
+function createStopSignal() {
+  let wake = null;
+  const signal = {
+    stopped: false,
+    stop() {
+      signal.stopped = true;
+      if (wake) wake();
+    },
+    wait(ms) {
+      if (signal.stopped) return Promise.resolve();
+      return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    },
+    dispose() {
+      process.removeListener('SIGINT', signal.stop);
+    }
+  };
+  process.once('SIGINT', signal.stop);
+  return signal;
+}
+
+// Parse a duration such as "30m", "12h", "7d" or "2w" into milliseconds, or null if invalid
+function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(m|h|d|w)$/);
+  if (!match) return null;
+  const unitMs = { m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2]];
+  return parseFloat(match[1]) * unitMs;
+}
+
+// Parse a time given as an ISO date/time, "now", or a relative duration ago ("30m", "12h", "7d", "2w").
+// Returns a Date, or null if the input is not a valid time.
+function parseTimeInput(value, now = Date.now()) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'now') return new Date(now);
+  
+  const duration = parseDuration(text);
+  if (duration !== null) return new Date(now - duration);
+  
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Block number and log index of a "block-log" event ID, used to order events and page through history
+function parseEventId(eventId) {
+  const [block, log] = String(eventId).split('-').map(Number);
+  return { block: block || 0, log: log || 0 };
+}
+
+function compareEventIds(a, b) {
+  const pa = parseEventId(a);
+  const pb = parseEventId(b);
+  return pa.block - pb.block || pa.log - pb.log;
+}
+
+// Events per request when reading a whole range of a history endpoint
+const HISTORY_PAGE_SIZE = 1000;
+
+// Fetch every event of a portfolio history endpoint, paging back from the newest event with to_event_id.
+// params are the other query parameters ("key=value"). Returns the events sorted oldest first.
+async function fetchAllEvents(endpoint, params = [], onPage = null) {
+  const events = new Map();
+  let toEventId = null;
+  
+  while (true) {
+    const query = [`count=${HISTORY_PAGE_SIZE}`, ...params];
+    if (toEventId) query.push(`to_event_id=${encodeURIComponent(toEventId)}`);
+    const result = await apiRequest('GET', `${endpoint}?${query.join('&')}`);
+    const page = (result && result.events) || [];
+    
+    // The page boundary may be repeated, so events are keyed by event ID
+    const fresh = page.filter(event => event.tx_info && !events.has(event.tx_info.event_id));
+    fresh.forEach(event => events.set(event.tx_info.event_id, event));
+    if (onPage) onPage(events.size);
+    
+    if (page.length < HISTORY_PAGE_SIZE || fresh.length === 0) break;
+    toEventId = fresh.map(event => event.tx_info.event_id).sort(compareEventIds)[0];
+  }
+  
+  return [...events.values()].sort((a, b) => compareEventIds(a.tx_info.event_id, b.tx_info.event_id));
+}
+
+// Serialise records as CSV with a header row, quoting values that contain commas, quotes or newlines
+function formatCsv(fields, records) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = records.map(record => fields.map(field => escape(record[field])).join(','));
+  return [fields.join(','), ...rows].join('\n') + '\n';
+}
+
+// Parse --from/--to time inputs. defaults.from and defaults.to are used when an option is not given:
+// a time input, null for no bound, or (for from) a function of the parsed `to` returning a Date.
+// Returns { from, to }, or null after printing the error.
+function parseTimeRange(options, defaults = {}) {
+  const now = Date.now();
+  const to = options.to || defaults.to ? parseTimeInput(options.to || defaults.to, now) : null;
+  let from = null;
+  if (options.from) from = parseTimeInput(options.from, now);
+  else if (typeof defaults.from === 'function') from = to ? defaults.from(to) : null;
+  else if (defaults.from) from = parseTimeInput(defaults.from, now);
+
+  if ((options.from && !from) || (options.to && !to)) {
+    console.error('Invalid --from/--to. Use an ISO date/time (e.g. 2025-03-01T00:00:00Z), "now", or a duration ago such as 12h or 7d.');
+    return null;
+  }
+  if (from && to && from >= to) {
+    console.error('--from must be before --to.');
+    return null;
+  }
+  return { from, to };
+}
+
+// Pick the export format from --format, or from the output file extension (table without either)
+function resolveExportFormat(format, output) {
+  if (format) return format.toLowerCase();
+  if (!output) return 'table';
+
+  const ext = path.extname(output).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+  return 'csv';
+}
+
+// Write exported content to the output file, or to stdout. Commands that export print their
+// progress and status on stderr, so data written to stdout can be piped as is.
+function writeExport(content, output, description) {
+  if (output) {
+    fs.writeFileSync(output, content);
+    console.error(`Wrote ${description} to ${output}.`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
 module.exports = {
   signMessage,
   apiRequest,
   formatNumber,
+  formatPercent,
   displayTable,
+  sleep,
+  createStopSignal,
+  parseDuration,
+  parseTimeInput,
+  parseEventId,
+  compareEventIds,
+  fetchAllEvents,
+  formatCsv,
+  parseTimeRange,
+  resolveExportFormat,
+  writeExport,
   getApiKey,
   getMessageForSigning
 };
\ No newline at end of file
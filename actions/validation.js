@@ -0,0 +1,141 @@
+// validation.js - Client-side order checks against contract rules
+const { formatNumber } = require('./utils');
+const { getConfig } = require('./config');
+const { resolveQuantity, toDecimalString } = require('./sizing');
+
+// Snap a value to a multiple of increment ('down', 'up' or 'nearest')
+function snapToIncrement(value, increment, mode = 'nearest') {
+  const inc = parseFloat(increment);
+  if (!(inc > 0)) return value;
+
+  const ratio = value / inc;
+  let count;
+  if (mode === 'down') count = Math.floor(ratio + 1e-9);
+  else if (mode === 'up') count = Math.ceil(ratio - 1e-9);
+  else count = Math.round(ratio);
+
+  return parseFloat((count * inc).toPrecision(12));
+}
+
+// Check a limit price against the tick and the contract's price limits.
+// Buys snap down and sells snap up, so the snapped price is never worse than requested.
+// Returns { price, warnings, errors }.
+function checkLimitPrice(contract, orderSide, limitPrice) {
+  const warnings = [];
+  const errors = [];
+  const requested = parseFloat(limitPrice);
+  if (isNaN(limitPrice) || !(requested > 0)) {
+    return { price: limitPrice, warnings, errors: [`Invalid limit price "${limitPrice}". Please enter a positive number.`] };
+  }
+
+  const mode = orderSide.toLowerCase() === 'buy' ? 'down' : 'up';
+  const snapped = snapToIncrement(requested, contract.price_tick, mode);
+  const price = toDecimalString(snapped);
+
+  if (snapped !== requested) {
+    warnings.push(`Limit price ${limitPrice} snapped to ${price} (price tick ${contract.price_tick}).`);
+  }
+  if (!(snapped > 0)) {
+    errors.push(`Limit price ${limitPrice} is below the price tick ${contract.price_tick}.`);
+  }
+  if (contract.min_limit_order_price && snapped < parseFloat(contract.min_limit_order_price)) {
+    errors.push(`Limit price ${price} is below the minimum limit price ${contract.min_limit_order_price}.`);
+  }
+  if (contract.max_limit_order_price && parseFloat(contract.max_limit_order_price) > 0 && snapped > parseFloat(contract.max_limit_order_price)) {
+    errors.push(`Limit price ${price} is above the maximum limit price ${contract.max_limit_order_price}.`);
+  }
+
+  return { price, warnings, errors };
+}
+
+// Round a resolved quantity down to the contract's step and check the minimum size.
+// Returns { quantity, warnings, errors }.
+function checkQuantity(contract, quantity) {
+  const warnings = [];
+  const errors = [];
+  let checked = quantity;
+
+  // Steps are whole by definition; other units round down to their step size
+  const stepSize = quantity.unit === 'contracts' ? contract.step_size_contracts : contract.step_size_assets;
+  if (quantity.unit !== 'steps' && parseFloat(stepSize) > 0) {
+    const unit = quantity.unit === 'contracts' ? 'contracts' : 'assets';
+    const rounded = snapToIncrement(parseFloat(quantity.value), stepSize, 'down');
+
+    if (rounded !== parseFloat(quantity.value)) {
+      const requested = quantity.unit === 'usd' ? `$${formatNumber(quantity.notional)} (${quantity.value} assets)` : `${quantity.value} ${unit}`;
+      if (!(rounded > 0)) {
+        return { quantity, warnings, errors: [`Quantity ${requested} is smaller than one step (${stepSize} ${unit}).`] };
+      }
+      warnings.push(`Quantity ${requested} rounded down to ${toDecimalString(rounded)} ${unit} (step ${stepSize}).`);
+      checked = resolveQuantity(`${toDecimalString(rounded)} ${unit}`, contract);
+    }
+  }
+
+  const minContracts = parseFloat(contract.min_order_size_contracts);
+  const minAssets = parseFloat(contract.min_order_size_assets);
+  if (checked.contracts !== null && minContracts > 0 && checked.contracts < minContracts - 1e-12) {
+    errors.push(`Quantity ${toDecimalString(checked.contracts)} contracts is below the minimum order size of ${contract.min_order_size_contracts} contracts.`);
+  } else if (checked.contracts === null && checked.assets !== null && minAssets > 0 && checked.assets < minAssets - 1e-12) {
+    errors.push(`Quantity ${toDecimalString(checked.assets)} assets is below the minimum order size of ${contract.min_order_size_assets} assets.`);
+  }
+
+  return { quantity: checked, warnings, errors };
+}
+
+// Check the order notional (at the limit price, or mark for market orders) against the
+// optional maxOrderNotional setting in the config file. Returns { notional, errors }.
+function checkNotional(contract, quantity, price) {
+  const errors = [];
+  const referencePrice = parseFloat(price) || parseFloat(contract.mark_price) || parseFloat(contract.last_price);
+  const notional = quantity.assets !== null && referencePrice ? quantity.assets * referencePrice : null;
+  const maxNotional = parseFloat(getConfig().maxOrderNotional);
+
+  if (notional !== null && maxNotional > 0 && notional > maxNotional) {
+    errors.push(`Order notional ${formatNumber(notional)} exceeds the configured maximum of ${formatNumber(maxNotional)} (maxOrderNotional).`);
+  }
+
+  return { notional, errors };
+}
+
+// Run every check for one order. Returns the adjusted { limitPrice, quantity } with warnings and errors.
+function validateOrder(contract, { orderSide, orderType, limitPrice, quantity }) {
+  const warnings = [];
+  const errors = [];
+  let price = limitPrice;
+
+  if (contract.status && contract.status !== 'active') {
+    errors.push(`Contract ${contract.symbol} is ${contract.status} and does not accept orders.`);
+  }
+
+  if (orderType === 'limit') {
+    const priceCheck = checkLimitPrice(contract, orderSide, limitPrice);
+    price = priceCheck.price;
+    warnings.push(...priceCheck.warnings);
+    errors.push(...priceCheck.errors);
+  }
+
+  const quantityCheck = checkQuantity(contract, quantity);
+  warnings.push(...quantityCheck.warnings);
+  errors.push(...quantityCheck.errors);
+
+  const notionalCheck = checkNotional(contract, quantityCheck.quantity, orderType === 'limit' ? price : null);
+  errors.push(...notionalCheck.errors);
+
+  return { limitPrice: price, quantity: quantityCheck.quantity, warnings, errors };
+}
+
+// Print validation warnings and errors, returning true if the order may proceed
+function reportValidation(validation) {
+  validation.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+  validation.errors.forEach(error => console.log(`Error: ${error}`));
+  return validation.errors.length === 0;
+}
+
+module.exports = {
+  snapToIncrement,
+  checkLimitPrice,
+  checkQuantity,
+  checkNotional,
+  validateOrder,
+  reportValidation
+};
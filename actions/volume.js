@@ -0,0 +1,279 @@
+// volume.js - Trading volume, fees paid and fee-tier progress for a calendar month
+const { apiRequest, formatNumber, displayTable } = require('./utils');
+const { getConfig } = require('./config');
+const { getContractDetails } = require('./markets');
+const { buildEstimatePayload } = require('./trading');
+const { fetchAllTransactions } = require('./account');
+const { fetchOrderHistory } = require('./history');
+
+const DAY_MS = 86400000;
+
+// Transaction types counted as fees paid
+const FEE_TYPES = ['trading_fee', 'operational_fee', 'premium', 'liquidation_fee', 'settlement_fee'];
+
+// Parse "YYYY-MM" (default: the current month) into the month's UTC start and end
+function parseMonth(value, now = new Date()) {
+  const match = value ? String(value).trim().match(/^(\d{4})-(\d{2})$/) : null;
+  if (value && (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12)) return null;
+
+  const year = match ? parseInt(match[1]) : now.getUTCFullYear();
+  const month = match ? parseInt(match[2]) - 1 : now.getUTCMonth();
+  return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+// Fee tiers from the config file ("feeTiers": [{ "name": "VIP 1", "volume": 1000000, "feeBps": 2.5 }, ...]),
+// sorted by the monthly volume needed to reach them
+function getFeeTiers() {
+  const tiers = getConfig().feeTiers;
+  if (!Array.isArray(tiers)) return [];
+  return tiers
+    .filter(tier => !isNaN(parseFloat(tier.volume)))
+    .map(tier => ({ ...tier, volume: parseFloat(tier.volume) }))
+    .sort((a, b) => a.volume - b.volume);
+}
+
+// Current and next fee tier for a volume
+function findFeeTier(tiers, volume) {
+  const reached = tiers.filter(tier => volume >= tier.volume);
+  return {
+    current: reached.length > 0 ? reached[reached.length - 1] : null,
+    next: tiers.find(tier => volume < tier.volume) || null
+  };
+}
+
+// Current taker fee rate in basis points, from the estimate of a one-step market buy.
+// Returns null when the estimate is not available (unknown or settled contract, rejected estimate).
+async function estimateFeeRate(contract) {
+  try {
+    const details = await getContractDetails(contract, true);
+    if (!details) return null;
+
+    const payload = buildEstimatePayload(details.contract_id, {
+      orderSide: 'buy',
+      orderType: 'market',
+      timeInForce: 'IOC',
+      reduceOnly: false,
+      quantitySteps: '1'
+    });
+    const estimation = await apiRequest('POST', '/v1/trading/estimate-order', payload);
+    const notional = parseFloat(estimation && estimation.taker_base_amount);
+    if (!estimation || estimation.error || !(notional > 0)) return null;
+
+    return { contract: details.symbol, fee_bps: Math.abs(parseFloat(estimation.trading_fee)) / notional * 10000 };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Contract to estimate the current fee rate on: the most traded one this month that is still
+// active, else the active contract with the most 24h volume
+async function pickRateContract(contracts) {
+  const futures = await apiRequest('GET', '/v1/market/futures?active=true');
+  const active = (futures && futures.contracts) || [];
+  const symbols = new Set(active.map(c => c.symbol));
+  const traded = contracts.find(c => symbols.has(c.contract));
+  if (traded) return traded.contract;
+
+  const busiest = active.slice().sort((a, b) => (parseFloat(b.volume_24h) || 0) - (parseFloat(a.volume_24h) || 0))[0];
+  return busiest ? busiest.symbol : null;
+}
+
+// Build the volume report for a month: volume by day (trading-volume history) and by contract
+// (filled order events), fees paid (transactions), and a straight-line projection to the month end
+async function buildVolumeReport({ start, end, contract }) {
+  const now = new Date();
+  const to = now < end ? now : end;
+  const range = `from=${start.toISOString()}&to=${to.toISOString()}`;
+
+  const [total, daily, fills, transactions] = await Promise.all([
+    apiRequest('GET', `/v1/portfolio/trading-volume?${range}`),
+    apiRequest('GET', `/v1/portfolio/history/trading-volume?${range}&period=1d`),
+    fetchOrderHistory({ from: start, to, eventTypes: ['order_filled'] }),
+    fetchAllTransactions({ from: start, to })
+  ]);
+
+  const volume = parseFloat(total && total.trading_volume) || 0;
+  let cumulative = 0;
+  const days = (Array.isArray(daily) ? daily : [])
+    .slice()
+    .sort((a, b) => new Date(a.from) - new Date(b.from))
+    .map(day => {
+      cumulative += parseFloat(day.volume) || 0;
+      return { date: new Date(day.from).toISOString().slice(0, 10), volume: parseFloat(day.volume) || 0, cumulative };
+    });
+
+  // Fees are reported as amounts paid, whatever sign the transaction history uses
+  const fees = {};
+  FEE_TYPES.forEach(type => {
+    fees[type] = Math.abs(transactions.filter(tx => tx.type === type).reduce((sum, tx) => sum + parseFloat(tx.amount), 0));
+  });
+  const totalFees = Object.values(fees).reduce((sum, fee) => sum + fee, 0);
+
+  const byContract = new Map();
+  const entryFor = symbol => {
+    if (!byContract.has(symbol)) byContract.set(symbol, { contract: symbol, fills: 0, volume: 0, trading_fees: 0 });
+    return byContract.get(symbol);
+  };
+  fills.forEach(fill => {
+    const entry = entryFor(fill.contract_info ? fill.contract_info.symbol : String(fill.contract_id));
+    entry.fills++;
+    entry.volume += Math.abs(parseFloat(fill.quantity_assets) || 0) * (parseFloat(fill.executed_price) || 0);
+  });
+  transactions
+    .filter(tx => tx.type === 'trading_fee' && tx.contract_info)
+    .forEach(tx => { entryFor(tx.contract_info.symbol).trading_fees += parseFloat(tx.amount); });
+  const fillVolume = [...byContract.values()].reduce((sum, c) => sum + c.volume, 0);
+  const contracts = [...byContract.values()]
+    .map(c => ({
+      ...c,
+      trading_fees: Math.abs(c.trading_fees),
+      share_percent: fillVolume > 0 ? c.volume / fillVolume * 100 : null,
+      fee_bps: c.volume > 0 ? Math.abs(c.trading_fees) / c.volume * 10000 : null
+    }))
+    .sort((a, b) => b.volume - a.volume);
+
+  // The current rate is estimated on the given contract, or the most traded active one
+  const rateContract = contract || await pickRateContract(contracts);
+  const currentRate = rateContract ? await estimateFeeRate(rateContract) : null;
+
+  // Straight-line projection at the average daily volume so far
+  const elapsedDays = (to - start) / DAY_MS;
+  const remainingDays = Math.max(0, (end - to) / DAY_MS);
+  const dailyAverage = elapsedDays > 0 ? volume / elapsedDays : 0;
+  const projectedVolume = volume + dailyAverage * remainingDays;
+  const effectiveBps = volume > 0 ? fees.trading_fee / volume * 10000 : null;
+
+  const tiers = getFeeTiers();
+  const tier = findFeeTier(tiers, volume);
+  const projectedTier = findFeeTier(tiers, projectedVolume);
+
+  return {
+    generated_at: now.toISOString(),
+    month: start.toISOString().slice(0, 7),
+    from: start.toISOString(),
+    to: to.toISOString(),
+    period_end: end.toISOString(),
+    volume,
+    fees: { ...fees, total: totalFees },
+    effective_fee_bps: effectiveBps,
+    current_fee_estimate: currentRate,
+    projection: {
+      elapsed_days: elapsedDays,
+      remaining_days: remainingDays,
+      daily_average: dailyAverage,
+      volume: projectedVolume,
+      trading_fees: effectiveBps !== null ? fees.trading_fee + dailyAverage * remainingDays * effectiveBps / 10000 : null
+    },
+    tiers: {
+      current: tier.current,
+      next: tier.next,
+      volume_to_next: tier.next ? tier.next.volume - volume : null,
+      daily_needed_for_next: tier.next && remainingDays > 0 ? (tier.next.volume - volume) / remainingDays : null,
+      projected: projectedTier.current
+    },
+    days,
+    contracts
+  };
+}
+
+function formatBps(value) {
+  return value === null || value === undefined || isNaN(value) ? 'N/A' : `${value.toFixed(2)} bps`;
+}
+
+function tierName(tier) {
+  if (!tier) return 'base';
+  return `${tier.name || formatNumber(tier.volume)}${tier.feeBps !== undefined ? ` (${tier.feeBps} bps)` : ''}`;
+}
+
+// Show trading volume by day and contract, fees paid, fee-tier progress and the month-end projection.
+// options: month (YYYY-MM), contract (for the fee estimate), json. Returns true on success.
+async function showVolume(options = {}) {
+  try {
+    const month = parseMonth(options.month);
+    if (!month) {
+      console.error(`Invalid month "${options.month}". Use YYYY-MM, e.g. 2025-03.`);
+      return false;
+    }
+    if (month.start > new Date()) {
+      console.error(`${options.month} has not started yet.`);
+      return false;
+    }
+
+    if (!options.json) console.log(`Fetching trading volume for ${month.start.toISOString().slice(0, 7)}...`);
+    const report = await buildVolumeReport({ ...month, contract: options.contract });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return true;
+    }
+
+    const { fees, projection, tiers } = report;
+    const complete = projection.remaining_days === 0;
+    console.log(`\nTrading Volume (${report.month}${complete ? '' : `, ${projection.elapsed_days.toFixed(1)} of ${(projection.elapsed_days + projection.remaining_days).toFixed(0)} days`})`);
+    console.log('-'.repeat(50));
+    console.log(`Volume:                     ${formatNumber(report.volume)}`);
+    console.log(`Trading Fees:               ${formatNumber(fees.trading_fee)}`);
+    console.log(`Other Fees:                 ${formatNumber(fees.total - fees.trading_fee)}`);
+    console.log(`Total Fees Paid:            ${formatNumber(fees.total)}`);
+    console.log(`Effective Fee Rate:         ${formatBps(report.effective_fee_bps)}`);
+    if (report.current_fee_estimate) {
+      console.log(`Current Taker Fee:          ${formatBps(report.current_fee_estimate.fee_bps)} (estimate on ${report.current_fee_estimate.contract})`);
+    }
+    if (!complete) {
+      console.log(`Daily Average:              ${formatNumber(projection.daily_average.toFixed(2))}`);
+      console.log(`Projected Volume:           ${formatNumber(projection.volume.toFixed(2))}`);
+      if (projection.trading_fees !== null) console.log(`Projected Trading Fees:     ${formatNumber(projection.trading_fees.toFixed(2))}`);
+    }
+    console.log('-'.repeat(50));
+
+    if (getFeeTiers().length > 0) {
+      console.log(`Fee Tier:                   ${tierName(tiers.current)}`);
+      if (tiers.next) {
+        console.log(`Next Tier:                  ${tierName(tiers.next)} at ${formatNumber(tiers.next.volume)}`);
+        console.log(`Volume to Next Tier:        ${formatNumber(tiers.volume_to_next)}`);
+        if (tiers.daily_needed_for_next !== null) console.log(`Needed per Day:             ${formatNumber(tiers.daily_needed_for_next.toFixed(2))}`);
+      } else {
+        console.log('Next Tier:                  none (top tier reached)');
+      }
+      if (!complete) console.log(`Projected Tier:             ${tierName(tiers.projected)}`);
+      console.log('-'.repeat(50));
+    } else {
+      console.log('Add "feeTiers" to the config file to track progress towards the next fee tier.');
+    }
+
+    if (report.days.length > 0) {
+      console.log('\nVolume by Day:');
+      displayTable(
+        ['Date', 'Volume', 'Cumulative'],
+        report.days.map(day => [day.date, formatNumber(day.volume), formatNumber(day.cumulative)])
+      );
+    }
+
+    if (report.contracts.length > 0) {
+      console.log('\nVolume by Contract (from fills):');
+      displayTable(
+        ['Contract', 'Fills', 'Volume', 'Share', 'Trading Fees', 'Fee Rate'],
+        report.contracts.map(c => [
+          c.contract,
+          String(c.fills),
+          formatNumber(c.volume),
+          c.share_percent !== null ? `${c.share_percent.toFixed(2)}%` : 'N/A',
+          formatNumber(c.trading_fees),
+          formatBps(c.fee_bps)
+        ])
+      );
+    } else {
+      console.log('\nNo fills this month.');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error fetching trading volume:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  buildVolumeReport,
+  showVolume
+};
@@ -0,0 +1,161 @@
+// watch.js - Live ticker for several contracts
+const { apiRequest, formatNumber, createStopSignal } = require('./utils');
+const { supportsUnicode, supportsColor, colorize } = require('./chart');
+const { fetchReferencePrice } = require('./candles');
+
+// The 24h reference price changes slowly, so it is refreshed at most every 5 minutes
+const REFERENCE_REFRESH_MS = 5 * 60 * 1000;
+
+// Latest close of a candle endpoint (ask-price, bid-price, ...), or NaN if unavailable
+async function fetchLatestClose(contract, endpoint) {
+  try {
+    const result = await apiRequest('GET', `/v1/market/futures/${encodeURIComponent(contract)}/${endpoint}?period=1m&count=1`);
+    const data = (result && result.data) || [];
+    return data.length > 0 ? parseFloat(data[data.length - 1].price_close) : NaN;
+  } catch (error) {
+    return NaN;
+  }
+}
+
+// Fetch one ticker snapshot for a contract
+async function fetchTicker(contract, references) {
+  const result = await apiRequest('GET', `/v1/market/futures/${encodeURIComponent(contract)}`);
+  const details = result.details;
+
+  const cached = references[contract];
+  if (!cached || Date.now() - cached.fetchedAt > REFERENCE_REFRESH_MS) {
+    try {
+      references[contract] = { price: await fetchReferencePrice(contract), fetchedAt: Date.now() };
+    } catch (error) {
+      references[contract] = { price: NaN, fetchedAt: Date.now() };
+    }
+  }
+
+  const [bid, ask] = await Promise.all([
+    fetchLatestClose(contract, 'bid-price'),
+    fetchLatestClose(contract, 'ask-price')
+  ]);
+
+  const last = parseFloat(details.last_price);
+  const reference = references[contract].price;
+
+  return {
+    contract,
+    symbol: details.symbol,
+    last,
+    mark: parseFloat(details.mark_price),
+    index: parseFloat(details.index_price),
+    bid,
+    ask,
+    change: reference > 0 ? (last - reference) / reference * 100 : NaN,
+    volume: parseFloat(details.volume_24h)
+  };
+}
+
+const TICKER_COLUMNS = [
+  { header: 'Contract', key: 'symbol' },
+  { header: 'Last', key: 'last' },
+  { header: 'Mark', key: 'mark' },
+  { header: 'Index', key: 'index' },
+  { header: 'Bid', key: 'bid' },
+  { header: 'Ask', key: 'ask' },
+  { header: '24h Change', key: 'change' },
+  { header: '24h Volume', key: 'volume' }
+];
+
+// Format a ticker cell, with an arrow when the value moved since the previous refresh
+function formatTickerCell(key, value, previous, arrows) {
+  if (key === 'symbol') return { text: value, color: null };
+  if (isNaN(value)) return { text: 'N/A', color: null };
+
+  let text = key === 'change' ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : formatNumber(value);
+  let color = null;
+
+  if (previous !== undefined && !isNaN(previous) && value !== previous && key !== 'volume') {
+    color = value > previous ? 'green' : 'red';
+    text += value > previous ? arrows.up : arrows.down;
+  }
+
+  return { text, color };
+}
+
+// Render the ticker table; colour is applied after padding so columns stay aligned
+function renderTickerTable(tickers, previousTickers, useColor, arrows) {
+  const rows = tickers.map(ticker => TICKER_COLUMNS.map(column => {
+    // Failed contracts show the error in the first price column
+    if (ticker.error) {
+      const text = column.key === 'symbol' ? ticker.symbol : (column.key === 'last' ? ticker.error : '');
+      return { text, color: null };
+    }
+    const previous = previousTickers[ticker.contract];
+    return formatTickerCell(column.key, ticker[column.key], previous ? previous[column.key] : undefined, arrows);
+  }));
+
+  const widths = TICKER_COLUMNS.map((column, i) =>
+    Math.max(column.header.length, ...rows.map(row => row[i].text.length)) + 2
+  );
+
+  const lines = [
+    TICKER_COLUMNS.map((column, i) => column.header.padEnd(widths[i])).join(' | '),
+    widths.map(width => '-'.repeat(width)).join('-+-')
+  ];
+  rows.forEach(row => {
+    lines.push(row.map((cell, i) => colorize(cell.text.padEnd(widths[i]), cell.color, useColor)).join(' | '));
+  });
+
+  return lines;
+}
+
+// Refresh a ticker for the given contracts every intervalSeconds until Ctrl-C
+async function watchTickers(contracts, intervalSeconds = 5) {
+  const isTTY = Boolean(process.stdout.isTTY);
+  const useColor = supportsColor();
+  const arrows = supportsUnicode() ? { up: ' ▲', down: ' ▼' } : { up: ' ^', down: ' v' };
+  const references = {};
+  let previousTickers = {};
+
+  // Stop after the current refresh, restore the cursor and let the process exit normally
+  const signal = createStopSignal();
+  if (isTTY) process.stdout.write('\x1b[?25l');
+
+  try {
+    while (!signal.stopped) {
+      const tickers = await Promise.all(contracts.map(async contract => {
+        try {
+          return await fetchTicker(contract, references);
+        } catch (error) {
+          return { contract, symbol: contract, error: `Error: ${error.message}` };
+        }
+      }));
+      if (signal.stopped) break;
+
+      const lines = [
+        `CVEX Watch - ${new Date().toLocaleTimeString()} (every ${intervalSeconds}s, Ctrl-C to stop)`,
+        '',
+        ...renderTickerTable(tickers, previousTickers, useColor, arrows)
+      ];
+
+      // Redraw in place on a terminal; append snapshots when piped
+      if (isTTY) {
+        process.stdout.write('\x1b[H\x1b[2J' + lines.join('\n') + '\n');
+      } else {
+        console.log(lines.join('\n') + '\n');
+      }
+
+      previousTickers = {};
+      tickers.filter(t => !t.error).forEach(ticker => { previousTickers[ticker.contract] = ticker; });
+
+      await signal.wait(intervalSeconds * 1000);
+    }
+  } finally {
+    signal.dispose();
+    if (isTTY) process.stdout.write('\x1b[?25h');
+  }
+
+  console.log('\nStopped watching.');
+}
+
+module.exports = {
+  fetchTicker,
+  watchTickers
+};
@@ -5,9 +5,24 @@ const { program } = require('commander');
 
 // Import actions
 const { loadConfig, saveConfig, getConfig } = require('./actions/config');
-const { listContracts, getContractDetails, getMarketData, selectContract } = require('./actions/markets');
-const { estimateOrder, placeOrder } = require('./actions/trading');
-const { getAccountInformation } = require('./actions/account');
+const { MARKET_SORTS, listContracts, getContractDetails, getMarketData, selectContract, showOrderBook } = require('./actions/markets');
+const { listFavorites, addFavorite, removeFavorite, getFavoriteContractSymbols } = require('./actions/favorites');
+const { listIndices, showBasis } = require('./actions/indices');
+const { showStats } = require('./actions/stats');
+const { showCandles } = require('./actions/candles');
+const { showChart } = require('./actions/chart');
+const { showTicks } = require('./actions/ticks');
+const { startRecording, syncRecordings, stopRecording, showRecordingStatus } = require('./actions/recorder');
+const { watchTickers } = require('./actions/watch');
+const { estimateOrder, placeOrder, placeOrderFromOptions, cancelOrder, cancelAllOrders, amendOrder, flattenPortfolio, showOrderStatus, TERMINAL_ORDER_STATES } = require('./actions/trading');
+const { getAccountInformation, showBalance, showPositions, showOrders, showTransactions } = require('./actions/account');
+const { showPnl } = require('./actions/pnl');
+const { showOrderHistory, showPositionHistory } = require('./actions/history');
+const { showVolume } = require('./actions/volume');
+const { parseLegSpec, placeAtomicOrders, placeSpread } = require('./actions/atomic');
+const { rolloverPositions } = require('./actions/rollover');
+const { runBatch } = require('./actions/batch');
+const { placeBracketOrder, watchBrackets, listBrackets, cancelBracket } = require('./actions/brackets');
 const { processNaturalLanguageOrder, analyzeMarketOpportunities, testMarketAnalysisAndOrderEstimation } = require('./actions/ai');
 
 // Initialize CLI
@@ -22,6 +37,9 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
+// Collect repeated option values into an array
+const collect = (value, previous) => previous.concat([value]);
+
 // Utility to ask questions
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
@@ -83,6 +101,32 @@ program
 program
   .command('markets')
   .description('List available markets/contracts')
+  .option('-s, --search <text>', 'Only contracts whose symbol or index contains this text')
+  .option('-i, --index <index>', 'Only contracts on this index ID or symbol')
+  .option('--sort <field>', `Sort by ${MARKET_SORTS.join(', ')}`)
+  .option('-e, --expired', 'Include settling and settled contracts')
+  .option('-f, --favorites', 'Only favourite contracts and indices')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      await listContracts(options);
+    } finally {
+      rl.close();
+    }
+  });
+
+// Favourites (synced with the exchange watchlist)
+const favCommand = program
+  .command('fav')
+  .description('Manage favourite contracts and indices (shared with the web app)');
+
+favCommand
+  .command('list')
+  .description('List favourites')
   .action(async () => {
     try {
       if (!loadConfig()) {
@@ -90,7 +134,39 @@ program
         return;
       }
       
-      await listContracts();
+      await listFavorites();
+    } finally {
+      rl.close();
+    }
+  });
+
+favCommand
+  .command('add <market>')
+  .description('Add a contract (ID or symbol) or an index (symbol) to favourites')
+  .action(async (market) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await addFavorite(market))) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+favCommand
+  .command('remove <market>')
+  .description('Remove a contract or index from favourites')
+  .action(async (market) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await removeFavorite(market))) process.exitCode = 1;
     } finally {
       rl.close();
     }
@@ -100,15 +176,271 @@ program
 program
   .command('contract <id>')
   .description('Get details for a specific contract')
-  .action(async (id) => {
+  .option('--no-chart', 'Do not draw the price chart')
+  .option('--ascii', 'Draw the chart in plain ASCII')
+  .action(async (id, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const contract = await getContractDetails(id);
+      await getMarketData(id, contract);
+      if (contract && options.chart) {
+        await showChart(contract.symbol, { period: '1h', height: 10, ascii: options.ascii });
+      }
+    } finally {
+      rl.close();
+    }
+  });
+
+// Indices command
+program
+  .command('indices')
+  .description('List indices with their price and active expiries')
+  .action(async () => {
     try {
       if (!loadConfig()) {
         console.log('Please run "cvex config" first to set up your API credentials.');
         return;
       }
       
-      await getContractDetails(id);
-      await getMarketData(id);
+      await listIndices();
+    } finally {
+      rl.close();
+    }
+  });
+
+// Basis / term structure command
+program
+  .command('basis <index>')
+  .description('Show every active expiry on an index with premium, annualised basis and open interest')
+  .action(async (index) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showBasis(index);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Exchange statistics command
+program
+  .command('stats')
+  .description('Exchange-wide volume and fee statistics with a per-contract breakdown')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showStats(options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Order book command
+program
+  .command('book <contract>')
+  .description('Show the aggregated order book with cumulative depth')
+  .option('--step <step>', 'Price aggregation step (a multiple of the price tick; defaults to about 1 bp of price)')
+  .option('--depth <levels>', 'Number of price levels per side', '10')
+  .option('--side <side>', 'Side to show: both, bids or asks', 'both')
+  .action(async (contract, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showOrderBook(contract, options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Live ticker command
+program
+  .command('watch [contracts...]')
+  .description('Live ticker for one or more contracts (default: favourites), refreshed in place')
+  .option('-i, --interval <seconds>', 'Refresh interval in seconds', '5')
+  .action(async (contracts, options) => {
+    // The ticker never prompts; closing readline lets Ctrl-C stop it
+    rl.close();
+    
+    if (!loadConfig()) {
+      console.log('Please run "cvex config" first to set up your API credentials.');
+      return;
+    }
+    
+    if (contracts.length === 0) {
+      try {
+        contracts = await getFavoriteContractSymbols();
+      } catch (error) {
+        console.error('Error fetching favourites:', error.message);
+        process.exitCode = 1;
+        return;
+      }
+      if (contracts.length === 0) {
+        console.log('No contracts given and no active favourites. Add some with "cvex fav add <contract|index>".');
+        process.exitCode = 1;
+        return;
+      }
+    }
+    
+    const interval = parseFloat(options.interval);
+    await watchTickers(contracts, interval > 0 ? interval : 5);
+  });
+
+// Price chart command
+program
+  .command('chart <contract>')
+  .description('Draw a terminal price chart for a contract (or an index with --index)')
+  .option('--period <period>', 'Candle period: 1m, 5m, 15m, 30m, 1h, 2h, 3h, 4h, 8h, 1d, 5d, 7d, 1M', '1h')
+  .option('--type <type>', 'Chart type: candle, line or spark', 'candle')
+  .option('--count <n>', 'Number of candles (default: as many as fit the terminal width)')
+  .option('--height <rows>', 'Chart height in rows', '15')
+  .option('--width <columns>', 'Chart width (default: terminal width)')
+  .option('--index', 'Chart an index instead of a contract')
+  .option('--no-volume', 'Hide the volume bars')
+  .option('--ascii', 'Use plain ASCII characters')
+  .action(async (contract, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showChart(contract, options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Candle history command
+program
+  .command('candles <contract>')
+  .description('Fetch candle history for any range and export it as CSV, JSON or NDJSON')
+  .option('--period <period>', 'Candle period: 1m, 5m, 15m, 30m, 1h, 2h, 3h, 4h, 8h, 1d, 5d, 7d, 1M', '1h')
+  .option('--from <time>', 'Start time (ISO date/time, or a duration ago such as 12h or 7d)')
+  .option('--to <time>', 'End time (ISO date/time, "now", or a duration ago)', 'now')
+  .option('--count <n>', 'Number of candles to fetch when --from is not given', '100')
+  .option('--format <format>', 'Output format: table, csv, json or ndjson (default: from --output extension, else table)')
+  .option('-o, --output <file>', 'Write the candles to a file instead of stdout')
+  .option('--no-cache', 'Always download from the API, ignoring candles stored by "cvex record"')
+  .action(async (contract, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showCandles(contract, options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Block price command
+program
+  .command('ticks <contract>')
+  .description('Show prices per block for a contract (or an index with --index), optionally tailing new blocks')
+  .option('--mark', 'Show mark prices instead of last trade prices')
+  .option('--index', 'Read an index instead of a contract')
+  .option('--from-block <id>', 'Start at this block ID (default: the latest blocks)')
+  .option('--count <n>', 'Blocks per request', '100')
+  .option('--ndjson', 'Print NDJSON lines instead of a table')
+  .option('-f, --follow', 'Keep tailing new blocks as NDJSON until Ctrl-C')
+  .option('-i, --interval <seconds>', 'Polling interval in seconds for --follow', '2')
+  .action(async (contract, options) => {
+    // Ticks never prompt; closing readline lets Ctrl-C stop --follow
+    rl.close();
+    
+    if (!loadConfig()) {
+      console.error('Please run "cvex config" first to set up your API credentials.');
+      process.exitCode = 1;
+      return;
+    }
+    
+    const ok = await showTicks(contract, options);
+    if (!ok) process.exitCode = 1;
+  });
+
+// Local market data recorder
+const recordCommand = program
+  .command('record')
+  .description('Record candles, trades and order book snapshots locally for offline analysis');
+
+recordCommand
+  .command('start [contracts...]')
+  .description('Add contracts to the recorder and keep syncing until Ctrl-C (default: contracts already recorded)')
+  .option('-p, --periods <periods>', 'Comma-separated candle periods to record', '1m,1h')
+  .option('-s, --since <time>', 'How far back to backfill new candle streams (ISO date/time or a duration ago); trades start from the latest 100', '7d')
+  .option('--no-trades', 'Do not record trades')
+  .option('--no-book', 'Do not record order book snapshots')
+  .option('-i, --interval <seconds>', 'Sync interval in seconds', '60')
+  .action(async (contracts, options) => {
+    // The recorder never prompts; closing readline lets Ctrl-C stop it
+    rl.close();
+    
+    if (!loadConfig()) {
+      console.log('Please run "cvex config" first to set up your API credentials.');
+      process.exitCode = 1;
+      return;
+    }
+    
+    const ok = await startRecording(contracts, options);
+    if (!ok) process.exitCode = 1;
+  });
+
+recordCommand
+  .command('sync [contracts...]')
+  .description('Download everything new since the last sync, once (default: all recorded contracts)')
+  .action(async (contracts) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const ok = await syncRecordings(contracts);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+recordCommand
+  .command('status')
+  .description('Show recorded contracts, streams and how far they are synced')
+  .action(() => {
+    try {
+      showRecordingStatus();
+    } finally {
+      rl.close();
+    }
+  });
+
+recordCommand
+  .command('stop <contracts...>')
+  .description('Stop recording contracts (stored data is kept)')
+  .action((contracts) => {
+    try {
+      if (!stopRecording(contracts)) process.exitCode = 1;
     } finally {
       rl.close();
     }
@@ -131,6 +463,186 @@ program
     }
   });
 
+// Balance command
+program
+  .command('balance')
+  .description('Show the portfolio overview: collateral, equity, margin and leverage')
+  .action(async () => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await showBalance())) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Positions command
+program
+  .command('positions')
+  .description('Show open positions')
+  .option('-c, --contract <contract>', 'Only this contract ID or symbol')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await showPositions(options))) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Open orders command
+program
+  .command('orders')
+  .description('Show open orders')
+  .option('-c, --contract <contract>', 'Only this contract ID or symbol')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await showOrders(options))) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Transaction history command
+program
+  .command('transactions')
+  .description('Show transaction history (deposits, withdrawals, realized P/L, fees)')
+  .option('-c, --contract <contract>', 'Only transactions on this contract ID or symbol')
+  .option('-t, --type <types>', 'Only these comma-separated types, e.g. trading_fee,realized_profit')
+  .option('--count <n>', 'Maximum number of events to fetch', '100')
+  .option('--from <time>', 'Start time (ISO date/time, or a duration ago such as 12h or 7d)')
+  .option('--to <time>', 'End time (ISO date/time, "now", or a duration ago)')
+  .option('--from-event-id <id>', 'Start at this event ID (block-log)')
+  .option('--to-event-id <id>', 'End at this event ID (block-log)')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      if (!(await showTransactions(options))) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// P/L report command
+program
+  .command('pnl')
+  .description('Show P/L per period, ROI, equity curve, drawdown and win/loss statistics')
+  .option('--period <period>', 'P/L period: 1m, 5m, 15m, 30m, 1h, 2h, 3h, 4h, 8h, 1d, 5d, 7d, 1M', '1d')
+  .option('--from <time>', 'Start time (ISO date/time, or a duration ago such as 12h or 7d)', '30d')
+  .option('--to <time>', 'End time (ISO date/time, "now", or a duration ago)', 'now')
+  .option('--format <format>', 'Output format: table, csv or json (default: from --output extension, else table)')
+  .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+  .option('--no-chart', 'Do not draw the equity curve')
+  .option('--height <rows>', 'Equity curve height in rows', '10')
+  .option('--width <columns>', 'Equity curve width (default: terminal width)')
+  .option('--ascii', 'Draw the equity curve in plain ASCII')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showPnl(options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Trading volume and fee-tier command
+program
+  .command('volume')
+  .description('Show trading volume by day and contract, fees paid, fee-tier progress and a month-end projection')
+  .option('-m, --month <YYYY-MM>', 'Calendar month (UTC, default: the current month)')
+  .option('-c, --contract <contract>', 'Contract used to estimate the current fee rate (default: the most traded one)')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showVolume(options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Account history commands
+const historyCommand = program
+  .command('history')
+  .description('Order and position history with filters and export');
+
+historyCommand
+  .command('orders')
+  .description('Show order events (accepted, posted, filled, canceled, ...) or export them as CSV or JSON')
+  .option('-c, --contract <contract>', 'Only events on this contract')
+  .option('-e, --events <types>', 'Comma-separated event types: accepted, rejected, posted, filled, reduced, canceled, terminated, expired, cancel_rejected, reduce_rejected')
+  .option('--order <id>', 'Only events of this order ID or customer order ID')
+  .option('--from <time>', 'Start time (ISO date/time, or a duration ago such as 12h or 7d)', '7d')
+  .option('--to <time>', 'End time (ISO date/time, "now", or a duration ago)', 'now')
+  .option('--format <format>', 'Output format: table, csv or json (default: from --output extension, else table)')
+  .option('-o, --output <file>', 'Write the events to a file instead of stdout')
+  .option('--no-fees', 'Do not look up the trading fee of each fill')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showOrderHistory(options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+historyCommand
+  .command('positions')
+  .description('Show closed positions with entry/exit, holding time, realised P/L and fees, and per-contract win rate and average R')
+  .option('-c, --contract <contract>', 'Only positions on this contract')
+  .option('--from <time>', 'Start time (ISO date/time, or a duration ago such as 12h or 7d)', '7d')
+  .option('--to <time>', 'End time (ISO date/time, "now", or a duration ago)', 'now')
+  .option('--risk <amount>', 'Amount risked per trade, used as 1R (default: the average losing trade per contract)')
+  .option('-s, --summary', 'Only show (or export) the per-contract summary')
+  .option('--format <format>', 'Output format: table, csv or json (default: from --output extension, else table)')
+  .option('-o, --output <file>', 'Write the positions to a file instead of stdout')
+  .option('--no-fees', 'Do not look up trading fees')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      const ok = await showPositionHistory(options);
+      if (!ok) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
 // Trading command
 program
   .command('trade')
@@ -169,6 +681,281 @@ program
     }
   });
 
+// Non-interactive order command
+program
+  .command('order')
+  .description('Place an order from command-line flags (for scripts and cron)')
+  .requiredOption('-c, --contract <contract>', 'Contract ID or symbol')
+  .requiredOption('-s, --side <side>', 'Order side (buy/sell)')
+  .option('-t, --type <type>', 'Order type (market/limit)', 'market')
+  .option('-p, --price <price>', 'Limit price (required for limit orders)')
+  .requiredOption('-q, --qty <quantity>', 'Quantity: a bare number is steps, or e.g. "0.5 contracts", "0.01 assets", "$500"')
+  .option('--tif <tif>', 'Time in force (GTC/IOC/FOK/PO)', 'GTC')
+  .option('--reduce-only', 'Only reduce an existing position')
+  .option('-y, --yes', 'Submit without asking for confirmation')
+  .option('--estimate-only', 'Only estimate the order, do not submit it')
+  .option('-w, --wait', 'Wait until the order is filled, cancelled or rejected')
+  .option('--timeout <seconds>', 'Maximum time to wait with --wait', '60')
+  .option('--stop-loss <price>', 'Attach a client-side stop-loss once the order fills')
+  .option('--take-profit <price>', 'Attach a reduce-only take-profit once the order fills')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const hasBracket = options.stopLoss !== undefined || options.takeProfit !== undefined;
+      const outcome = hasBracket
+        ? await placeBracketOrder(options, question)
+        : await placeOrderFromOptions(options, question);
+      if (!outcome) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Calendar spread command
+program
+  .command('spread <buy_contract> <sell_contract>')
+  .description('Buy one contract and sell another of the same size atomically (calendar spread)')
+  .requiredOption('-q, --qty <quantity>', 'Quantity for each leg: a bare number is steps, or e.g. "0.5 contracts", "0.01 assets", "$500"')
+  .option('--buy-price <price>', 'Limit price for the buy leg (market if omitted)')
+  .option('--sell-price <price>', 'Limit price for the sell leg (market if omitted)')
+  .option('--tif <tif>', 'Time in force (GTC/IOC/FOK/PO)', 'GTC')
+  .option('-y, --yes', 'Submit without asking for confirmation')
+  .option('--estimate-only', 'Only estimate the legs, do not submit them')
+  .action(async (buyContract, sellContract, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const success = await placeSpread(buyContract, sellContract, options, question);
+      if (!success) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Multi-leg atomic order command
+program
+  .command('atomic')
+  .description('Submit several orders atomically (all legs accepted or none)')
+  .requiredOption('-l, --leg <contract:side:steps[:price]>', 'Order leg, repeat for each leg', collect, [])
+  .option('--tif <tif>', 'Time in force (GTC/IOC/FOK/PO)', 'GTC')
+  .option('-y, --yes', 'Submit without asking for confirmation')
+  .option('--estimate-only', 'Only estimate the legs, do not submit them')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const success = await placeAtomicOrders(options.leg.map(parseLegSpec), options, question);
+      if (!success) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Batch actions command
+program
+  .command('batch <file>')
+  .description('Submit place/cancel/replace actions from a JSON or CSV file in one request')
+  .option('-y, --yes', 'Submit without asking for confirmation')
+  .option('--estimate-only', 'Only validate and estimate the batch, do not submit it')
+  .action(async (file, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const success = await runBatch(file, options, question);
+      if (!success) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Bracket orders
+const bracketsCommand = program
+  .command('brackets')
+  .description('Manage client-side stop-loss / take-profit brackets');
+
+bracketsCommand
+  .command('list')
+  .description('List brackets')
+  .option('-a, --all', 'Include closed and cancelled brackets')
+  .action((options) => {
+    try {
+      listBrackets(options.all);
+    } finally {
+      rl.close();
+    }
+  });
+
+bracketsCommand
+  .command('watch')
+  .description('Watch open brackets and submit exit orders when triggered')
+  .option('-i, --interval <seconds>', 'Polling interval in seconds', '5')
+  .action(async (options) => {
+    // The watcher never prompts; closing readline lets Ctrl-C stop the process
+    rl.close();
+    
+    if (!loadConfig()) {
+      console.log('Please run "cvex config" first to set up your API credentials.');
+      return;
+    }
+    
+    const interval = parseFloat(options.interval);
+    await watchBrackets(interval > 0 ? interval : 5);
+  });
+
+bracketsCommand
+  .command('cancel <id>')
+  .description('Cancel a bracket and its resting take-profit order')
+  .action(async (id) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      await cancelBracket(id);
+    } finally {
+      rl.close();
+    }
+  });
+
+// Order status command
+program
+  .command('order-status <id>')
+  .description('Show the status of an order by order ID or customer order ID')
+  .option('-w, --wait', 'Poll until the order is filled, cancelled or rejected')
+  .option('--timeout <seconds>', 'Maximum time to wait with --wait', '60')
+  .option('-i, --interval <seconds>', 'Polling interval with --wait', '2')
+  .action(async (id, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const state = await showOrderStatus(id, options);
+      const timedOut = options.wait && !TERMINAL_ORDER_STATES.includes(state);
+      if (!state || state === 'rejected' || timedOut) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Cancel order command
+program
+  .command('cancel <id>')
+  .description('Cancel an order by order ID or customer order ID')
+  .action(async (id) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      await cancelOrder(id, question);
+    } finally {
+      rl.close();
+    }
+  });
+
+// Cancel all orders command
+program
+  .command('cancel-all')
+  .description('Cancel all open orders')
+  .option('-c, --contract <contract>', 'Only cancel orders for this contract ID or symbol')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      await cancelAllOrders(options.contract, question);
+    } finally {
+      rl.close();
+    }
+  });
+
+// Emergency flatten command
+program
+  .command('flatten')
+  .description('Emergency kill switch: cancel all orders and close all positions')
+  .option('-c, --contract <contract>', 'Only flatten this contract ID or symbol')
+  .option('-f, --force', 'Skip the typed confirmation')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const flat = await flattenPortfolio(options, question);
+      if (!flat) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Rollover command
+program
+  .command('rollover')
+  .description('Roll positions that settle soon into the next expiry on the same index')
+  .option('-w, --within <duration>', 'Roll positions settling within this window, e.g. 12h, 3d, 1w', '3d')
+  .option('-c, --contract <contract>', 'Only roll this contract ID or symbol')
+  .option('-e, --estimate-only', 'Show the plan and estimates without submitting')
+  .option('-y, --yes', 'Skip the confirmation prompts')
+  .action(async (options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const rolled = await rolloverPositions(options, question);
+      if (!rolled) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+  });
+
+// Amend order command
+program
+  .command('amend <id>')
+  .description('Change the limit price and/or quantity of a resting order')
+  .option('-p, --price <price>', 'New limit price')
+  .option('-q, --qty <quantity>', 'New quantity: a bare number is steps, or e.g. "0.5 contracts", "0.01 assets", "$500"')
+  .action(async (id, options) => {
+    try {
+      if (!loadConfig()) {
+        console.log('Please run "cvex config" first to set up your API credentials.');
+        return;
+      }
+      
+      await amendOrder(id, { price: options.price, quantity: options.qty }, question);
+    } finally {
+      rl.close();
+    }
+  });
+
 // AI Trading command
 program
   .command('ai [input...]')
@@ -243,11 +1030,40 @@ if (require.main === module) {
 
 module.exports = {
   listContracts,
+  listFavorites,
+  addFavorite,
+  removeFavorite,
   getContractDetails,
   getMarketData,
+  showOrderBook,
+  listIndices,
+  showBasis,
+  showStats,
+  showCandles,
+  showChart,
+  showTicks,
+  startRecording,
+  syncRecordings,
+  showRecordingStatus,
+  watchTickers,
   getAccountInformation,
+  showBalance,
+  showPositions,
+  showOrders,
+  showTransactions,
+  showPnl,
+  showVolume,
+  showOrderHistory,
+  showPositionHistory,
   estimateOrder,
   placeOrder,
+  placeOrderFromOptions,
+  cancelOrder,
+  cancelAllOrders,
+  amendOrder,
+  flattenPortfolio,
+  rolloverPositions,
+  showOrderStatus,
   processNaturalLanguageOrder,
   analyzeMarketOpportunities,
   testMarketAnalysisAndOrderEstimation